@@ -0,0 +1,122 @@
+const express = require("express");
+const cors = require("cors");
+const { createAssetUnits } = require("./assetUnits");
+const { createAuditLog } = require("./audit");
+const { createBilling } = require("./billing");
+const { createBookings } = require("./bookings");
+const { loadConfig } = require("./config");
+const { createEntitlements } = require("./entitlements");
+const { createEvents } = require("./events");
+const { createImages } = require("./images");
+const { notFoundHandler, errorHandler } = require("./errors");
+const { createMailer } = require("./mailer");
+const { createNotifications } = require("./notifications");
+const { createStock } = require("./stock");
+const { createStorage } = require("./storage");
+const { createAuthMiddleware } = require("./middleware");
+const { createAdminRouter } = require("./routes/admin");
+const { createAnalyticsRouter } = require("./routes/analytics");
+const { createAssetsRouter } = require("./routes/assets");
+const { createAssignmentsRouter } = require("./routes/assignments");
+const { createAuditRouter } = require("./routes/audit");
+const { createAuthRouter } = require("./routes/auth");
+const { createBillingRouter } = require("./routes/billing");
+const { createBookingsRouter } = require("./routes/bookings");
+const { createEmployeesRouter } = require("./routes/employees");
+const { createEventsRouter } = require("./routes/events");
+const { createImagesRouter } = require("./routes/images");
+const { createInventoryRouter } = require("./routes/inventory");
+const { createInvitationsRouter } = require("./routes/invitations");
+const { createNotificationsRouter } = require("./routes/notifications");
+const { createReportsRouter } = require("./routes/reports");
+const { createRequestsRouter } = require("./routes/requests");
+const { createWebhookRouter } = require("./routes/webhook");
+
+const systemClock = { now: () => new Date() };
+
+// Build the Express app around its dependencies. Nothing here connects or
+// listens, so tests can pass an in-memory database, fake Stripe and
+// Firebase clients, a fixed clock, an in-memory mailer and storage, and
+// their own config overrides.
+//
+// Every router and service receives the same `ctx`: the injected
+// dependencies plus the shared helpers built from them.
+function createApp({
+  db,
+  stripe = null,
+  firebaseAdmin = null,
+  clock = systemClock,
+  config = {},
+  mailer = createMailer(),
+  storage = createStorage(),
+}) {
+  const ctx = {
+    db,
+    client: db.client,
+    stripe,
+    firebaseAdmin,
+    clock,
+    config: { ...loadConfig(), ...config },
+    mailer,
+    storage,
+  };
+
+  // Mail failures are logged, never surfaced to the caller
+  ctx.sendMail = async (message) => {
+    try {
+      await mailer.send(message);
+    } catch (err) {
+      console.error("mail err:", err);
+    }
+  };
+
+  Object.assign(ctx, createAuditLog(ctx));
+  Object.assign(ctx, createNotifications(ctx));
+  Object.assign(ctx, createEvents(ctx));
+  Object.assign(ctx, createEntitlements(ctx));
+  Object.assign(ctx, createAssetUnits(ctx));
+  Object.assign(ctx, createBookings(ctx));
+  Object.assign(ctx, createStock(ctx));
+  Object.assign(ctx, createImages(ctx));
+  Object.assign(ctx, createBilling(ctx));
+  Object.assign(ctx, createAuthMiddleware(ctx));
+
+  const app = express();
+  app.locals.ctx = ctx;
+
+  // Middleware
+  app.use(cors());
+  app.use(createWebhookRouter(ctx));
+  // JSON bodies for every route after the webhook
+  app.use(express.json());
+
+  // Root
+  app.get("/", (req, res) => {
+    res.send("AssetVerse Server Running...");
+  });
+
+  app.use(createAuthRouter(ctx));
+  // before the assets router, so /assets/import and /assets/export are not
+  // taken for /assets/:id
+  app.use(createInventoryRouter(ctx));
+  app.use(createAssetsRouter(ctx));
+  app.use(createImagesRouter(ctx));
+  app.use(createRequestsRouter(ctx));
+  app.use(createBookingsRouter(ctx));
+  app.use(createAssignmentsRouter(ctx));
+  app.use(createEmployeesRouter(ctx));
+  app.use(createInvitationsRouter(ctx));
+  app.use(createAnalyticsRouter(ctx));
+  app.use(createReportsRouter(ctx));
+  app.use(createAuditRouter(ctx));
+  app.use(createEventsRouter(ctx));
+  app.use(createNotificationsRouter(ctx));
+  app.use(createBillingRouter(ctx));
+  app.use(createAdminRouter(ctx));
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,105 @@
+const { HttpError } = require("./errors");
+
+// Every physical item is an assetUnits document with its own serial number,
+// tag, condition and location. productQuantity/availableQuantity on the
+// asset are derived from its units by syncAssetQuantities and are never
+// written by hand.
+
+const ASSET_TYPES = ["Returnable", "Non-returnable"];
+const UNIT_CONDITIONS = ["new", "good", "fair", "damaged"];
+const UNIT_STATUSES = ["available", "assigned", "damaged", "lost", "retired"];
+
+// Units that no longer count towards an asset's quantity
+const GONE_STATUSES = ["lost", "retired"];
+
+// What HR records when a returned unit arrives; anything but "good" opens
+// an incident instead of restocking the unit
+const RETURN_CONDITIONS = ["good", "damaged", "lost"];
+
+// An assignment stays with the employee until HR confirms the return
+const HELD_STATUSES = ["assigned", "return_pending"];
+
+// The counters document numbering an asset's auto-generated tags
+const assetTagCounterId = (assetId) => `assetTag:${assetId}`;
+
+function createAssetUnits({ db, clock }) {
+  // Turn client-supplied unit specs into documents for one asset. Tag
+  // numbers are taken from the asset's counter, so concurrent adds and
+  // restocks never number two units alike.
+  async function buildUnits(asset, specs, session) {
+    if (specs.length === 0) return [];
+    const counter = await db
+      .collection("counters")
+      .findOneAndUpdate(
+        { _id: assetTagCounterId(asset._id) },
+        { $inc: { seq: specs.length } },
+        { upsert: true, returnDocument: "after", session }
+      );
+    const existing = counter.seq - specs.length;
+    const prefix = asset._id.toString().slice(-6).toUpperCase();
+
+    return specs.map((spec, i) => {
+      const condition = spec.condition || "new";
+      if (!UNIT_CONDITIONS.includes(condition))
+        throw new HttpError(400, `Invalid unit condition: ${condition}`);
+      return {
+        assetId: asset._id,
+        companyId: asset.companyId,
+        serialNumber: spec.serialNumber || null,
+        assetTag:
+          spec.assetTag ||
+          `${prefix}-${String(existing + i + 1).padStart(3, "0")}`,
+        condition,
+        location: spec.location || "",
+        status: "available",
+        assignedTo: null,
+        createdAt: clock.now(),
+      };
+    });
+  }
+
+  // Recompute an asset's counters from its units
+  async function syncAssetQuantities(assetId, session) {
+    const [counts] = await db
+      .collection("assetUnits")
+      .aggregate(
+        [
+          { $match: { assetId, status: { $nin: GONE_STATUSES } } },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              available: {
+                $sum: { $cond: [{ $eq: ["$status", "available"] }, 1, 0] },
+              },
+            },
+          },
+        ],
+        { session }
+      )
+      .toArray();
+
+    await db.collection("assets").updateOne(
+      { _id: assetId },
+      {
+        $set: {
+          productQuantity: counts ? counts.total : 0,
+          availableQuantity: counts ? counts.available : 0,
+        },
+      },
+      { session }
+    );
+  }
+
+  return { buildUnits, syncAssetQuantities };
+}
+
+module.exports = {
+  ASSET_TYPES,
+  UNIT_CONDITIONS,
+  UNIT_STATUSES,
+  RETURN_CONDITIONS,
+  HELD_STATUSES,
+  assetTagCounterId,
+  createAssetUnits,
+};
@@ -0,0 +1,82 @@
+// Append-only record of every state change. Entries are only ever inserted;
+// no route updates or deletes them, and auditLog is deliberately not a
+// tenant collection so it cannot be reached through req.tenant.collection.
+const STRIPE_ACTOR = {
+  id: null,
+  email: "stripe",
+  name: "Stripe",
+  role: "system",
+};
+
+// Changes made by scheduled jobs rather than by a caller
+const SCHEDULER_ACTOR = {
+  id: null,
+  email: "scheduler",
+  name: "Scheduler",
+  role: "system",
+};
+
+// Shallow field-level diff: { field: { from, to } } for every changed field
+function diffDocs(before, after) {
+  const diff = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const key of keys) {
+    if (key === "_id") continue;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to))
+      diff[key] = { from: from ?? null, to: to ?? null };
+  }
+  return diff;
+}
+
+function createAuditLog({ db, clock }) {
+  // Never lets a failed audit write break the change it describes
+  async function writeAudit({
+    actor,
+    companyId,
+    action,
+    entityType,
+    entityId,
+    before = null,
+    after = null,
+  }) {
+    try {
+      await db.collection("auditLog").insertOne({
+        companyId,
+        actor,
+        action,
+        entityType,
+        entityId: entityId ? entityId.toString() : null,
+        before,
+        after,
+        diff: diffDocs(before, after),
+        at: clock.now(),
+      });
+    } catch (err) {
+      console.error("audit err:", err);
+    }
+  }
+
+  // Audit a change made by the authenticated caller
+  function audit(req, entry) {
+    const user = req.currentUser;
+    return writeAudit({
+      actor: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+      },
+      companyId: req.tenant.companyId,
+      ...entry,
+    });
+  }
+
+  return { writeAudit, audit };
+}
+
+module.exports = { STRIPE_ACTOR, SCHEDULER_ACTOR, diffDocs, createAuditLog };
@@ -0,0 +1,458 @@
+const { ObjectId } = require("mongodb");
+const { STRIPE_ACTOR } = require("./audit");
+const { BASIC_PACKAGE } = require("./entitlements");
+const { DAY_MS } = require("./config");
+
+// Packages are sold as monthly Stripe subscriptions. The HR user carries the
+// subscription state (packageId, subscriptionStatus, currentPeriodEnd,
+// graceUntil); the webhook keeps it in sync and expireLapsedSubscriptions
+// drops anyone whose period and grace period have both run out back to Basic.
+
+// Newer Stripe API versions moved these fields; read both shapes
+function subscriptionIdOf(invoice) {
+  return (
+    invoice.subscription ||
+    invoice.parent?.subscription_details?.subscription ||
+    null
+  );
+}
+
+function periodEndOf(subscription) {
+  const end =
+    subscription.current_period_end ??
+    subscription.items?.data?.[0]?.current_period_end;
+  return end ? new Date(end * 1000) : null;
+}
+
+// The package fields worth auditing on an HR user
+function packageState(hr) {
+  return {
+    packageId: hr.packageId || null,
+    subscription: hr.subscription,
+    subscriptionStatus: hr.subscriptionStatus || null,
+    currentPeriodEnd: hr.currentPeriodEnd || null,
+  };
+}
+
+// a claim older than this is assumed to belong to a crashed process
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+function createBilling({
+  db,
+  stripe,
+  clock,
+  config,
+  writeAudit,
+  publishEvent,
+}) {
+  async function findSubscriber(subscription) {
+    const users = db.collection("users");
+    const byId = await users.findOne({ stripeSubscriptionId: subscription.id });
+    if (byId) return byId;
+    const { companyId } = subscription.metadata || {};
+    if (!companyId || !ObjectId.isValid(companyId)) return null;
+    return users.findOne({ role: "hr", companyId: new ObjectId(companyId) });
+  }
+
+  // The price on the subscription wins, so portal up/downgrades are honoured
+  async function packageForSubscription(subscription) {
+    const packages = db.collection("packages");
+    const priceId = subscription.items?.data?.[0]?.price?.id;
+    if (priceId) {
+      const pkg = await packages.findOne({ stripePriceId: priceId });
+      if (pkg) return pkg;
+    }
+    const { packageId } = subscription.metadata || {};
+    if (!packageId || !ObjectId.isValid(packageId)) return null;
+    return packages.findOne({ _id: new ObjectId(packageId) });
+  }
+
+  async function applySubscription(hr, subscription, pkg) {
+    // a package too small for the current headcount is not taken up
+    if ((hr.currentEmployees || 0) > pkg.limits.employees)
+      return fallBackToBasic(hr, "over_limit");
+
+    const update = {
+      packageId: pkg._id,
+      subscription: pkg.name,
+      stripeSubscriptionId: subscription.id,
+      stripeCustomerId: subscription.customer,
+      subscriptionStatus: subscription.status,
+      currentPeriodEnd: periodEndOf(subscription),
+      graceUntil: null,
+    };
+    await db.collection("users").updateOne({ _id: hr._id }, { $set: update });
+    await writeAudit({
+      actor: STRIPE_ACTOR,
+      companyId: hr.companyId,
+      action: "package.changed",
+      entityType: "subscription",
+      entityId: hr._id,
+      before: packageState(hr),
+      after: packageState({ ...hr, ...update }),
+    });
+  }
+
+  // Existing employees stay affiliated; the lower limit only blocks new seats
+  async function fallBackToBasic(hr, status) {
+    const basic = await db
+      .collection("packages")
+      .findOne({ name: BASIC_PACKAGE });
+    const update = {
+      packageId: basic ? basic._id : null,
+      subscription: basic ? basic.name : BASIC_PACKAGE,
+      subscriptionStatus: status,
+      graceUntil: null,
+    };
+    await db.collection("users").updateOne({ _id: hr._id }, { $set: update });
+    await writeAudit({
+      actor: STRIPE_ACTOR,
+      companyId: hr.companyId,
+      action: "package.downgraded",
+      entityType: "subscription",
+      entityId: hr._id,
+      before: packageState(hr),
+      after: packageState({ ...hr, ...update }),
+    });
+  }
+
+  async function handleStripeEvent(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case "checkout.session.completed": {
+        if (object.mode !== "subscription") return;
+        const { companyId } = object.metadata || {};
+        if (!companyId || !ObjectId.isValid(companyId)) return;
+        await db.collection("users").updateOne(
+          { role: "hr", companyId: new ObjectId(companyId) },
+          {
+            $set: {
+              stripeCustomerId: object.customer,
+              stripeSubscriptionId: object.subscription,
+            },
+          }
+        );
+        return;
+      }
+
+      case "invoice.paid": {
+        const subscriptionId = subscriptionIdOf(object);
+        if (!subscriptionId) return;
+        const subscription = await stripe.subscriptions.retrieve(
+          subscriptionId
+        );
+        const hr = await findSubscriber(subscription);
+        const pkg = await packageForSubscription(subscription);
+        if (!hr || !pkg) return;
+
+        // Save payment record, once per event even if it is processed again
+        const saved = await db.collection("payments").updateOne(
+          { stripeEventId: event.id },
+          {
+            $setOnInsert: {
+              stripeEventId: event.id,
+              hrEmail: hr.email,
+              companyId: hr.companyId,
+              packageId: pkg._id.toString(),
+              amount: object.amount_paid / 100,
+              transactionId: object.payment_intent || object.id,
+              invoiceId: object.id,
+              chargeId: object.charge || null,
+              subscriptionId,
+              periodEnd: periodEndOf(subscription),
+              paymentDate: clock.now(),
+              status: "completed",
+            },
+          },
+          { upsert: true }
+        );
+        await issueInvoice(
+          { stripeEventId: event.id },
+          { companyName: hr.companyName, packageName: pkg.name }
+        );
+        await applySubscription(hr, subscription, pkg);
+        if (saved.upsertedCount > 0)
+          await publishEvent({
+            type: "payment.completed",
+            companyId: hr.companyId,
+            roles: ["hr"],
+            data: {
+              paymentId: saved.upsertedId,
+              amount: object.amount_paid / 100,
+              packageName: pkg.name,
+            },
+          });
+        return;
+      }
+
+      case "charge.refunded": {
+        const payments = db.collection("payments");
+        const payment = await payments.findOne({
+          $or: [
+            { transactionId: object.payment_intent },
+            { chargeId: object.id },
+          ],
+        });
+        if (!payment) return;
+
+        const refundedAmount = object.amount_refunded / 100;
+        const fullyRefunded = object.amount_refunded >= object.amount;
+        const refundUpdate = {
+          status: fullyRefunded ? "refunded" : "partially_refunded",
+          refundStatus: "refunded",
+          refundedAmount,
+          refundedAt: clock.now(),
+        };
+        await payments.updateOne({ _id: payment._id }, { $set: refundUpdate });
+        await writeAudit({
+          actor: STRIPE_ACTOR,
+          companyId: payment.companyId,
+          action: "payment.refunded",
+          entityType: "payment",
+          entityId: payment._id,
+          before: payment,
+          after: { ...payment, ...refundUpdate },
+        });
+        await publishEvent({
+          type: "payment.refunded",
+          companyId: payment.companyId,
+          roles: ["hr"],
+          data: {
+            paymentId: payment._id,
+            amount: refundedAmount,
+            status: refundUpdate.status,
+          },
+        });
+
+        // a refunded payment for the running period takes the package away
+        // with it; refunding an earlier period leaves the package alone
+        if (fullyRefunded && payment.subscriptionId) {
+          const hr = await db
+            .collection("users")
+            .findOne({ stripeSubscriptionId: payment.subscriptionId });
+          const coversCurrentPeriod =
+            hr &&
+            (!hr.currentPeriodEnd ||
+              (payment.periodEnd && payment.periodEnd >= hr.currentPeriodEnd));
+          if (coversCurrentPeriod) {
+            if (
+              ["active", "trialing", "past_due"].includes(hr.subscriptionStatus)
+            )
+              await stripe.subscriptions.cancel(payment.subscriptionId);
+            await fallBackToBasic(hr, "refunded");
+          }
+        }
+        return;
+      }
+
+      case "invoice.payment_failed": {
+        const subscriptionId = subscriptionIdOf(object);
+        if (!subscriptionId) return;
+        const hr = await db
+          .collection("users")
+          .findOne({ stripeSubscriptionId: subscriptionId });
+        if (!hr) return;
+
+        // keep the paid package until the grace period runs out
+        const from = hr.currentPeriodEnd || clock.now();
+        const graceUntil =
+          hr.graceUntil ||
+          new Date(from.getTime() + config.gracePeriodDays * DAY_MS);
+        await db
+          .collection("users")
+          .updateOne(
+            { _id: hr._id },
+            { $set: { subscriptionStatus: "past_due", graceUntil } }
+          );
+        await publishEvent({
+          type: "payment.failed",
+          companyId: hr.companyId,
+          roles: ["hr"],
+          data: { packageName: hr.subscription, graceUntil },
+        });
+        return;
+      }
+
+      case "customer.subscription.updated": {
+        const hr = await findSubscriber(object);
+        if (!hr) return;
+        if (["active", "trialing"].includes(object.status)) {
+          const pkg = await packageForSubscription(object);
+          if (pkg) await applySubscription(hr, object, pkg);
+        } else if (
+          ["canceled", "unpaid", "incomplete_expired"].includes(object.status)
+        ) {
+          await fallBackToBasic(hr, object.status);
+        } else {
+          await db
+            .collection("users")
+            .updateOne(
+              { _id: hr._id },
+              { $set: { subscriptionStatus: object.status } }
+            );
+        }
+        return;
+      }
+
+      case "customer.subscription.deleted": {
+        const hr = await findSubscriber(object);
+        if (hr) await fallBackToBasic(hr, "canceled");
+        return;
+      }
+    }
+  }
+
+  // Invoice numbers come from a single counter, e.g. INV-2026-000042
+  async function nextInvoiceNumber() {
+    const counter = await db
+      .collection("counters")
+      .findOneAndUpdate(
+        { _id: "invoice" },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: "after" }
+      );
+    const year = clock.now().getFullYear();
+    return `INV-${year}-${String(counter.seq).padStart(6, "0")}`;
+  }
+
+  // Give a completed payment its invoice, unless it already has one
+  async function issueInvoice(filter, { companyName, packageName }) {
+    const payments = db.collection("payments");
+    const payment = await payments.findOne(filter);
+    if (!payment || payment.invoiceNumber) return;
+    await payments.updateOne(
+      { _id: payment._id, invoiceNumber: { $exists: false } },
+      {
+        $set: {
+          invoiceNumber: await nextInvoiceNumber(),
+          invoiceDate: payment.paymentDate || clock.now(),
+          companyName,
+          packageName,
+        },
+      }
+    );
+  }
+
+  // Every delivered event is stored under its Stripe id before it is handled,
+  // so retries and replays never apply the same event twice. Handlers are
+  // written to be safe to re-run after a crash part way through.
+  async function recordStripeEvent(event) {
+    await db.collection("stripeEvents").updateOne(
+      { _id: event.id },
+      {
+        $setOnInsert: {
+          type: event.type,
+          payload: event,
+          status: "received",
+          attempts: 0,
+          error: null,
+          receivedAt: clock.now(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  // Claim and handle a stored event. Returns the event's final state; an
+  // event that is already processed or being handled elsewhere is left alone.
+  async function processStripeEvent(eventId) {
+    const stripeEvents = db.collection("stripeEvents");
+    const now = clock.now();
+    const claimed = await stripeEvents.findOneAndUpdate(
+      {
+        _id: eventId,
+        $or: [
+          { status: { $in: ["received", "failed"] } },
+          {
+            status: "processing",
+            lastAttemptAt: {
+              $lt: new Date(now.getTime() - STALE_PROCESSING_MS),
+            },
+          },
+        ],
+      },
+      {
+        $set: { status: "processing", lastAttemptAt: now },
+        $inc: { attempts: 1 },
+      },
+      { returnDocument: "after" }
+    );
+    if (!claimed) return stripeEvents.findOne({ _id: eventId });
+
+    try {
+      await handleStripeEvent(claimed.payload);
+      await stripeEvents.updateOne(
+        { _id: eventId },
+        { $set: { status: "processed", processedAt: clock.now(), error: null } }
+      );
+      return { ...claimed, status: "processed", error: null };
+    } catch (err) {
+      console.error(`Stripe event ${eventId} failed:`, err);
+      const error = { message: err.message, stack: err.stack, at: clock.now() };
+      await stripeEvents.updateOne(
+        { _id: eventId },
+        { $set: { status: "failed", error } }
+      );
+      return { ...claimed, status: "failed", error };
+    }
+  }
+
+  // Safety net for missed webhooks: a paid period plus its grace period that
+  // has fully elapsed means the subscription lapsed
+  async function expireLapsedSubscriptions() {
+    const now = clock.now();
+    const graceCutoff = new Date(
+      now.getTime() - config.gracePeriodDays * DAY_MS
+    );
+    const lapsed = await db
+      .collection("users")
+      .find({
+        role: "hr",
+        subscriptionStatus: { $in: ["active", "trialing", "past_due"] },
+        $or: [
+          { graceUntil: { $lt: now } },
+          { graceUntil: null, currentPeriodEnd: { $lt: graceCutoff } },
+        ],
+      })
+      .toArray();
+    for (const hr of lapsed) await fallBackToBasic(hr, "lapsed");
+    return lapsed.length;
+  }
+
+  // Number the invoices of payments made before invoicing existed
+  async function invoiceLegacyPayments() {
+    const payments = db.collection("payments");
+    const uninvoiced = await payments
+      .find({ status: "completed", invoiceNumber: { $exists: false } })
+      .sort({ paymentDate: 1 })
+      .toArray();
+    for (const payment of uninvoiced) {
+      const hr = await db
+        .collection("users")
+        .findOne({ email: payment.hrEmail });
+      const pkg = ObjectId.isValid(payment.packageId)
+        ? await db
+            .collection("packages")
+            .findOne({ _id: new ObjectId(payment.packageId) })
+        : null;
+      await issueInvoice(
+        { _id: payment._id },
+        {
+          companyName: hr ? hr.companyName : "",
+          packageName: pkg ? pkg.name : "",
+        }
+      );
+    }
+  }
+
+  return {
+    handleStripeEvent,
+    recordStripeEvent,
+    processStripeEvent,
+    expireLapsedSubscriptions,
+    invoiceLegacyPayments,
+  };
+}
+
+module.exports = { createBilling };
@@ -0,0 +1,321 @@
+const { SCHEDULER_ACTOR } = require("./audit");
+const { DAY_MS } = require("./config");
+const { HttpError } = require("./errors");
+const { bookingEvent } = require("./events");
+
+// A booking reserves units of a returnable asset for a range of whole days,
+// startDate to endDate inclusive, both stored as UTC midnights. It waits
+// for HR like a request; once approved it holds its units on those days,
+// and startDueBookings hands them over as ordinary assignments when the
+// first day comes. The booking is completed once every unit is back, and
+// expires if its last day passes before a unit was free to hand over.
+//
+// An asset's capacity on a day is what is in stock today plus what active
+// bookings covering that day have out; approved and active bookings
+// covering the day take their units off it. Requests may only take units
+// no approved booking needs on any day from today on.
+const BOOKING_STATUSES = [
+  "pending",
+  "approved",
+  "active",
+  "completed",
+  "rejected",
+  "cancelled",
+  "expired",
+];
+
+// Bookings that hold units on the days they cover
+const HOLDING_STATUSES = ["approved", "active"];
+
+const MAX_BOOKING_DAYS = 31;
+const MAX_CALENDAR_DAYS = 92;
+
+// Midnight UTC of the day `date` falls on
+function dayOf(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+// How many days `from` to `to` covers, both included. Check this before
+// daysBetween, which builds one Date per day.
+function dayCount(from, to) {
+  return Math.floor((to.getTime() - from.getTime()) / DAY_MS) + 1;
+}
+
+// Every day from `from` to `to`, both included
+function daysBetween(from, to) {
+  const days = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS)
+    days.push(new Date(t));
+  return days;
+}
+
+const dayKey = (day) => day.toISOString().slice(0, 10);
+
+function createBookings({
+  db,
+  client,
+  clock,
+  writeAudit,
+  publishEvent,
+  syncAssetQuantities,
+}) {
+  // Day by day, from `from` to `to`: the asset's capacity, the units
+  // approved or active bookings hold (booked), the units pending ones ask
+  // for (requested) and what is left (free)
+  async function availabilityOf(tenant, asset, from, to, session) {
+    const overlapping = await tenant
+      .collection("bookings")
+      .find(
+        {
+          assetId: asset._id,
+          status: { $in: ["pending", ...HOLDING_STATUSES] },
+          startDate: { $lte: to },
+          endDate: { $gte: from },
+        },
+        { session }
+      )
+      .toArray();
+    const covering = (day, statuses) =>
+      overlapping
+        .filter(
+          (booking) =>
+            statuses.includes(booking.status) &&
+            booking.startDate <= day &&
+            booking.endDate >= day
+        )
+        .reduce((sum, booking) => sum + booking.quantity, 0);
+
+    return daysBetween(from, to).map((day) => {
+      const capacity = asset.availableQuantity + covering(day, ["active"]);
+      const booked = covering(day, HOLDING_STATUSES);
+      return {
+        date: dayKey(day),
+        capacity,
+        booked,
+        requested: covering(day, ["pending"]),
+        free: Math.max(capacity - booked, 0),
+      };
+    });
+  }
+
+  // Units of `asset` a request can take for good today: what is in stock
+  // less the most that approved bookings need on any one day from today on
+  async function unitsFreeForRequests(tenant, asset, session) {
+    const today = dayOf(clock.now());
+    const approved = await tenant
+      .collection("bookings")
+      .find(
+        { assetId: asset._id, status: "approved", endDate: { $gte: today } },
+        { session }
+      )
+      .toArray();
+    // the busiest day is the first day of one of the bookings
+    let peak = 0;
+    for (const booking of approved) {
+      const day = booking.startDate > today ? booking.startDate : today;
+      const held = approved
+        .filter((other) => other.startDate <= day && other.endDate >= day)
+        .reduce((sum, other) => sum + other.quantity, 0);
+      peak = Math.max(peak, held);
+    }
+    return Math.max(asset.availableQuantity - peak, 0);
+  }
+
+  // Throws unless `quantity` units are free on every day of the range
+  async function assertBookable(tenant, asset, booking, session) {
+    const days = await availabilityOf(
+      tenant,
+      asset,
+      booking.startDate,
+      booking.endDate,
+      session
+    );
+    const full = days.find((day) => day.free < booking.quantity);
+    if (full)
+      throw new HttpError(
+        400,
+        `Only ${full.free} unit(s) of ${asset.productName} free on ${full.date}`
+      );
+  }
+
+  // Booking and request approvals check what is free, then commit. Both
+  // write the asset's lock document inside their transaction, so two that
+  // overlap conflict and one retries against what the other committed. The
+  // lock is kept apart from the asset so it never shows up in asset
+  // responses or audit snapshots.
+  async function lockAsset(assetId, session) {
+    await db
+      .collection("assetLocks")
+      .updateOne(
+        { _id: assetId },
+        { $inc: { version: 1 } },
+        { upsert: true, session }
+      );
+  }
+
+  // Hand an approved booking's units over to its requester. Throws an
+  // HttpError, leaving the booking approved, when the units are not there.
+  async function startBooking(booking) {
+    const session = client.startSession();
+    try {
+      const now = clock.now();
+      let assignmentIds;
+      await session.withTransaction(async () => {
+        assignmentIds = [];
+        const asset = await db
+          .collection("assets")
+          .findOne({ _id: booking.assetId }, { session });
+        if (!asset) throw new HttpError(404, "Asset not found");
+
+        for (let i = 0; i < booking.quantity; i++) {
+          const unit = await db.collection("assetUnits").findOneAndUpdate(
+            { assetId: asset._id, status: "available" },
+            {
+              $set: { status: "assigned", assignedTo: booking.requesterEmail },
+            },
+            { session, returnDocument: "after" }
+          );
+          if (!unit)
+            throw new HttpError(
+              400,
+              `Cannot start booking: ${asset.productName} is out of stock`
+            );
+
+          const assignment = await db.collection("assignedAssets").insertOne(
+            {
+              assetId: asset._id.toString(),
+              assetName: asset.productName,
+              assetImage: asset.productImage || "",
+              assetType: asset.productType,
+              unitId: unit._id,
+              serialNumber: unit.serialNumber,
+              assetTag: unit.assetTag,
+              handoverCondition: unit.condition,
+              employeeEmail: booking.requesterEmail,
+              employeeName: booking.requesterName,
+              hrEmail: booking.hrEmail,
+              hrName: booking.processedBy,
+              companyName: booking.companyName,
+              companyId: booking.companyId,
+              requestId: null,
+              bookingId: booking._id,
+              assignmentDate: now,
+              dueDate: booking.endDate,
+              returnDate: null,
+              status: "assigned",
+            },
+            { session }
+          );
+          assignmentIds.push(assignment.insertedId);
+        }
+
+        const started = await db
+          .collection("bookings")
+          .updateOne(
+            { _id: booking._id, status: "approved" },
+            { $set: { status: "active", assignmentIds, startedAt: now } },
+            { session }
+          );
+        if (started.modifiedCount === 0)
+          throw new HttpError(400, "Booking is no longer approved");
+        await syncAssetQuantities(asset._id, session);
+      });
+
+      await writeAudit({
+        actor: SCHEDULER_ACTOR,
+        companyId: booking.companyId,
+        action: "booking.started",
+        entityType: "booking",
+        entityId: booking._id,
+        before: { status: booking.status },
+        after: { status: "active", assignmentIds },
+      });
+      await publishEvent(
+        bookingEvent(
+          "booking.started",
+          { ...booking, status: "active" },
+          { assignmentIds }
+        )
+      );
+      return assignmentIds;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Start every approved booking whose first day has come, across all
+  // companies. A booking that cannot start is retried on the next run until
+  // its last day has passed; the employee and HR hear about it the first
+  // time it fails and again when it expires.
+  async function startDueBookings() {
+    const today = dayOf(clock.now());
+    const bookings = db.collection("bookings");
+    const lapsed = await bookings
+      .find({ status: "approved", endDate: { $lt: today } })
+      .toArray();
+    for (const booking of lapsed) {
+      const expired = await bookings.updateOne(
+        { _id: booking._id, status: "approved" },
+        { $set: { status: "expired" } }
+      );
+      if (expired.modifiedCount === 0) continue;
+      await writeAudit({
+        actor: SCHEDULER_ACTOR,
+        companyId: booking.companyId,
+        action: "booking.expired",
+        entityType: "booking",
+        entityId: booking._id,
+        before: { status: booking.status },
+        after: { status: "expired" },
+      });
+      await publishEvent(
+        bookingEvent("booking.expired", { ...booking, status: "expired" })
+      );
+    }
+
+    const due = await bookings
+      .find({ status: "approved", startDate: { $lte: today } })
+      .sort({ startDate: 1, _id: 1 })
+      .toArray();
+    let started = 0;
+    for (const booking of due) {
+      try {
+        await startBooking(booking);
+        started++;
+      } catch (err) {
+        if (!(err instanceof HttpError)) throw err;
+        if (booking.unfulfilledAt) continue;
+        await bookings.updateOne(
+          { _id: booking._id },
+          { $set: { unfulfilledAt: clock.now() } }
+        );
+        await publishEvent(
+          bookingEvent("booking.unfulfilled", booking, { reason: err.message })
+        );
+      }
+    }
+    return started;
+  }
+
+  return {
+    availabilityOf,
+    unitsFreeForRequests,
+    assertBookable,
+    lockAsset,
+    startBooking,
+    startDueBookings,
+  };
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  HOLDING_STATUSES,
+  MAX_BOOKING_DAYS,
+  MAX_CALENDAR_DAYS,
+  dayOf,
+  dayCount,
+  daysBetween,
+  createBookings,
+};
@@ -0,0 +1,20 @@
+// CSV output for exports and reports. Lines end in CRLF, as RFC 4180 and
+// spreadsheet applications expect.
+
+// One CSV line. Text that a spreadsheet would run as a formula is prefixed
+// with a quote.
+function csvLine(values) {
+  return (
+    values
+      .map((value) => {
+        if (value === null || value === undefined) return "";
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        if (typeof value === "string" && /^[=+\-@\t\r]/.test(text))
+          text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(",") + "\r\n"
+  );
+}
+
+module.exports = { csvLine };
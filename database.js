@@ -0,0 +1,500 @@
+const bcrypt = require("bcrypt");
+const { ObjectId } = require("mongodb");
+const { assetTagCounterId } = require("./assetUnits");
+const { BASIC_PACKAGE, PACKAGE_ENTITLEMENTS } = require("./entitlements");
+const { EVENT_RETENTION_DAYS } = require("./events");
+const { READ_RETENTION_DAYS } = require("./notifications");
+
+// Startup work on the database: demo data, migrations of documents written
+// by older versions, and the indexes the app relies on. Every step is safe
+// to run again on an already prepared database.
+async function prepareDatabase(db) {
+  const users = db.collection("users");
+  const affiliations = db.collection("employeeAffiliations");
+  const assets = db.collection("assets");
+  const requests = db.collection("requests");
+  const assignedAssets = db.collection("assignedAssets");
+  const packages = db.collection("packages");
+  const payments = db.collection("payments");
+  const companies = db.collection("companies");
+  const assetUnits = db.collection("assetUnits");
+  const sessions = db.collection("sessions");
+  const refreshTokens = db.collection("refreshTokens");
+  const authTokens = db.collection("authTokens");
+  const invitations = db.collection("invitations");
+  const stripeEvents = db.collection("stripeEvents");
+  const auditLog = db.collection("auditLog");
+  const events = db.collection("events");
+  const incidents = db.collection("incidents");
+  const restocks = db.collection("restocks");
+  const bookings = db.collection("bookings");
+  const notifications = db.collection("notifications");
+  const counters = db.collection("counters");
+
+  async function seedData() {
+    if ((await users.countDocuments()) === 0) {
+      const salt = await bcrypt.genSalt(10);
+      const hrPassword = await bcrypt.hash("123456", salt);
+      const empPassword = await bcrypt.hash("123456", salt);
+
+      const company = await companies.insertOne({
+        name: "TestCompany",
+        logo: "",
+        ownerEmail: "hr@test.com",
+        createdAt: new Date(),
+      });
+
+      await users.insertMany([
+        {
+          name: "Admin HR",
+          companyName: "TestCompany",
+          companyId: company.insertedId,
+          email: "hr@test.com",
+          password: hrPassword,
+          role: "hr",
+          currentEmployees: 1,
+          subscription: BASIC_PACKAGE,
+          emailVerified: true,
+          createdAt: new Date(),
+        },
+        {
+          name: "Employee One",
+          email: "emp1@test.com",
+          password: empPassword,
+          role: "employee",
+          emailVerified: true,
+          createdAt: new Date(),
+        },
+      ]);
+      await affiliations.insertOne({
+        employeeEmail: "emp1@test.com",
+        hrEmail: "hr@test.com",
+        companyName: "TestCompany",
+        companyId: company.insertedId,
+        status: "active",
+        joinedVia: "seed",
+        joinedAt: new Date(),
+      });
+      console.log(" Users seeded (passwords hashed)");
+    }
+
+    // PACKAGES
+    if ((await packages.countDocuments()) === 0) {
+      await packages.insertMany([
+        {
+          name: "Basic",
+          price: 5,
+          ...PACKAGE_ENTITLEMENTS.Basic,
+          features: ["Asset Tracking", "Employee Management", "Basic Support"],
+        },
+        {
+          name: "Standard",
+          price: 8,
+          ...PACKAGE_ENTITLEMENTS.Standard,
+          features: [
+            "All Basic features",
+            "Advanced Analytics",
+            "Priority Support",
+          ],
+        },
+        {
+          name: "Premium",
+          price: 15,
+          ...PACKAGE_ENTITLEMENTS.Premium,
+          features: [
+            "All Standard features",
+            "Custom Branding",
+            "24/7 Support",
+          ],
+        },
+      ]);
+      console.log(" Packages seeded");
+    }
+
+    // ASSETS
+    const seedHR = await users.findOne({ email: "hr@test.com" });
+    if ((await assets.countDocuments()) === 0 && seedHR) {
+      await assets.insertMany([
+        {
+          productName: "Laptop Dell",
+          productImage: "",
+          productType: "Returnable",
+          productQuantity: 10,
+          availableQuantity: 10,
+          hrEmail: "hr@test.com",
+          companyName: "TestCompany",
+          companyId: seedHR.companyId,
+          dateAdded: new Date(),
+        },
+        {
+          productName: "Office Chair",
+          productImage: "",
+          productType: "Non-returnable",
+          productQuantity: 20,
+          availableQuantity: 20,
+          hrEmail: "hr@test.com",
+          companyName: "TestCompany",
+          companyId: seedHR.companyId,
+          dateAdded: new Date(),
+        },
+      ]);
+      console.log(" Assets seeded");
+    }
+  }
+
+  await seedData();
+
+  // Backfill companyId on data written before tenancy existed
+  async function migrateTenancy() {
+    const legacyHRs = await users
+      .find({ role: "hr", companyId: { $exists: false } })
+      .toArray();
+    for (const hr of legacyHRs) {
+      const company = await companies.insertOne({
+        name: hr.companyName || "Company",
+        logo: hr.companyLogo || "",
+        ownerEmail: hr.email,
+        createdAt: new Date(),
+      });
+      await users.updateOne(
+        { _id: hr._id },
+        { $set: { companyId: company.insertedId } }
+      );
+    }
+
+    const hrs = await users
+      .find({ role: "hr" })
+      .project({ email: 1, companyId: 1 })
+      .toArray();
+    for (const hr of hrs) {
+      for (const collection of [
+        assets,
+        requests,
+        assignedAssets,
+        affiliations,
+        payments,
+      ]) {
+        await collection.updateMany(
+          { hrEmail: hr.email, companyId: { $exists: false } },
+          { $set: { companyId: hr.companyId } }
+        );
+      }
+    }
+
+    // requests filed without a known HR inherit the asset's company
+    const orphans = await requests
+      .find({ companyId: { $exists: false } })
+      .toArray();
+    for (const orphan of orphans) {
+      if (!ObjectId.isValid(orphan.assetId)) continue;
+      const asset = await assets.findOne({
+        _id: new ObjectId(orphan.assetId),
+      });
+      if (asset && asset.companyId) {
+        await requests.updateOne(
+          { _id: orphan._id },
+          { $set: { companyId: asset.companyId } }
+        );
+      }
+    }
+
+    for (const collection of [
+      assets,
+      requests,
+      assignedAssets,
+      affiliations,
+      payments,
+    ]) {
+      await collection.createIndex({ companyId: 1 });
+    }
+
+    // Employees belong to companies through affiliations only; drop any
+    // company an employee named for themselves when signing up
+    await users.updateMany(
+      { role: "employee", companyId: { $exists: true } },
+      { $unset: { companyId: "", companyName: "" } }
+    );
+  }
+
+  await migrateTenancy();
+
+  // Give assets created before unit tracking one unit per counted item,
+  // linking the units that are out to the open assignments we know about
+  async function migrateAssetUnits() {
+    const legacy = await assets.find({ productQuantity: { $gt: 0 } }).toArray();
+
+    for (const asset of legacy) {
+      if ((await assetUnits.countDocuments({ assetId: asset._id })) > 0)
+        continue;
+
+      const open = await assignedAssets
+        .find({ assetId: asset._id.toString(), status: "assigned" })
+        .toArray();
+      const outCount = Math.max(
+        0,
+        asset.productQuantity -
+          (asset.availableQuantity ?? asset.productQuantity)
+      );
+      const prefix = asset._id.toString().slice(-6).toUpperCase();
+
+      const units = Array.from({ length: asset.productQuantity }, (_, i) => ({
+        _id: new ObjectId(),
+        assetId: asset._id,
+        companyId: asset.companyId,
+        serialNumber: null,
+        assetTag: `${prefix}-${String(i + 1).padStart(3, "0")}`,
+        condition: "good",
+        location: "",
+        status: i < outCount ? "assigned" : "available",
+        assignedTo: i < outCount && open[i] ? open[i].employeeEmail : null,
+        createdAt: new Date(),
+      }));
+      await assetUnits.insertMany(units);
+
+      for (let i = 0; i < Math.min(outCount, open.length); i++) {
+        await assignedAssets.updateOne(
+          { _id: open[i]._id },
+          {
+            $set: {
+              unitId: units[i]._id,
+              assetTag: units[i].assetTag,
+              serialNumber: null,
+            },
+          }
+        );
+      }
+    }
+
+    // Start the tag counter of assets that have none after their units
+    const numbered = await counters
+      .find({ _id: /^assetTag:/ })
+      .project({ _id: 1 })
+      .toArray();
+    const counted = new Set(numbered.map((counter) => counter._id));
+    const unitCounts = await assetUnits
+      .aggregate([{ $group: { _id: "$assetId", count: { $sum: 1 } } }])
+      .toArray();
+    for (const { _id, count } of unitCounts) {
+      if (counted.has(assetTagCounterId(_id))) continue;
+      await counters.updateOne(
+        { _id: assetTagCounterId(_id) },
+        { $max: { seq: count } },
+        { upsert: true }
+      );
+    }
+
+    await assetUnits.createIndex({ companyId: 1, assetId: 1, status: 1 });
+    await assetUnits.createIndex(
+      { companyId: 1, assetTag: 1 },
+      { unique: true }
+    );
+    await assetUnits.createIndex(
+      { companyId: 1, serialNumber: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { serialNumber: { $type: "string" } },
+      }
+    );
+  }
+
+  await migrateAssetUnits();
+
+  // Turn requests written before line items into single-line requests
+  async function migrateRequestLines() {
+    const legacy = await requests.find({ items: { $exists: false } }).toArray();
+    for (const request of legacy) {
+      const assignments = await assignedAssets
+        .find({ requestId: request._id })
+        .project({ _id: 1 })
+        .toArray();
+      const status = {
+        approved: "approved",
+        returned: "approved",
+        rejected: "rejected",
+      }[request.requestStatus];
+      const line = {
+        lineId: new ObjectId(),
+        assetId: request.assetId,
+        assetName: request.assetName,
+        assetType: request.assetType,
+        quantity: 1,
+        approvedQuantity: { approved: 1, rejected: 0 }[status] ?? null,
+        status: status || "pending",
+        assignmentIds: assignments.map((assignment) => assignment._id),
+        decidedAt: status ? request.approvalDate || null : null,
+      };
+      await requests.updateOne(
+        { _id: request._id, items: { $exists: false } },
+        { $set: { items: [line] } }
+      );
+    }
+  }
+
+  await migrateRequestLines();
+
+  // Give older packages machine-readable entitlements, and point every HR
+  // at a package document instead of a free-form subscription string
+  async function migratePackages() {
+    const legacyPackages = await packages
+      .find({ capabilities: { $exists: false } })
+      .toArray();
+    for (const pkg of legacyPackages) {
+      const defaults =
+        PACKAGE_ENTITLEMENTS[pkg.name] || PACKAGE_ENTITLEMENTS[BASIC_PACKAGE];
+      await packages.updateOne(
+        { _id: pkg._id },
+        {
+          $set: {
+            capabilities: defaults.capabilities,
+            limits: {
+              employees: pkg.employeeLimit ?? defaults.limits.employees,
+            },
+          },
+        }
+      );
+    }
+
+    // limits.employees is the one seat limit: fold the older employeeLimit
+    // into it, and drop the copy HRs used to carry as packageLimit
+    const withEmployeeLimit = await packages
+      .find({ employeeLimit: { $exists: true } })
+      .toArray();
+    for (const pkg of withEmployeeLimit) {
+      await packages.updateOne(
+        { _id: pkg._id },
+        {
+          $set: {
+            "limits.employees": pkg.limits?.employees ?? pkg.employeeLimit,
+          },
+          $unset: { employeeLimit: "" },
+        }
+      );
+    }
+    await users.updateMany(
+      { packageLimit: { $exists: true } },
+      { $unset: { packageLimit: "" } }
+    );
+
+    const allPackages = await packages.find({}).toArray();
+    const basic = allPackages.find((pkg) => pkg.name === BASIC_PACKAGE);
+    const legacyHRs = await users
+      .find({ role: "hr", packageId: { $exists: false } })
+      .toArray();
+    for (const hr of legacyHRs) {
+      const name = String(hr.subscription || BASIC_PACKAGE).toLowerCase();
+      const pkg =
+        allPackages.find((p) => p.name.toLowerCase() === name) || basic;
+      if (!pkg) continue;
+      await users.updateOne(
+        { _id: hr._id },
+        {
+          $set: {
+            packageId: pkg._id,
+            subscription: pkg.name,
+          },
+        }
+      );
+    }
+  }
+
+  await migratePackages();
+
+  await refreshTokens.createIndex({ tokenHash: 1 }, { unique: true });
+  await refreshTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await sessions.createIndex({ userId: 1, revokedAt: 1 });
+  await sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await authTokens.createIndex({ tokenHash: 1 }, { unique: true });
+  await authTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await invitations.createIndex(
+    { code: 1 },
+    { unique: true, partialFilterExpression: { code: { $type: "string" } } }
+  );
+  await invitations.createIndex({ email: 1, status: 1 });
+  await stripeEvents.createIndex({ status: 1, receivedAt: -1 });
+  await auditLog.createIndex({ companyId: 1, at: -1 });
+  await events.createIndex(
+    { at: 1 },
+    { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+  );
+  await events.createIndex({ emails: 1, _id: 1 });
+  await events.createIndex({ companyId: 1, roles: 1, _id: 1 });
+  await notifications.createIndex({ userId: 1, createdAt: -1 });
+  await notifications.createIndex({ userId: 1, readAt: 1 });
+  // unread notifications have readAt: null, which a TTL index never expires
+  await notifications.createIndex(
+    { readAt: 1 },
+    { expireAfterSeconds: READ_RETENTION_DAYS * 24 * 60 * 60 }
+  );
+
+  // indexes behind the list endpoints' filters and sorts
+  await assets.createIndex({ companyId: 1, dateAdded: -1 });
+  await assets.createIndex({ companyId: 1, productName: 1 });
+  await assets.createIndex({ companyId: 1, productType: 1, dateAdded: -1 });
+  await assets.createIndex({ companyId: 1, availableQuantity: 1 });
+  await assets.createIndex(
+    { companyId: 1, sku: 1 },
+    { unique: true, partialFilterExpression: { sku: { $type: "string" } } }
+  );
+  await requests.createIndex({ companyId: 1, requestDate: -1 });
+  await requests.createIndex({
+    companyId: 1,
+    requestStatus: 1,
+    requestDate: -1,
+  });
+  await requests.createIndex({ requesterEmail: 1, requestDate: -1 });
+  await affiliations.createIndex({ companyId: 1, status: 1, joinedAt: -1 });
+  await assignedAssets.createIndex({
+    companyId: 1,
+    status: 1,
+    employeeEmail: 1,
+  });
+  await assignedAssets.createIndex({
+    companyId: 1,
+    status: 1,
+    returnRequestedAt: 1,
+  });
+  await assignedAssets.createIndex({ employeeEmail: 1, status: 1 });
+  await incidents.createIndex({ companyId: 1, createdAt: -1 });
+  await restocks.createIndex({ companyId: 1, assetId: 1, purchasedAt: -1 });
+  await requests.createIndex({
+    companyId: 1,
+    "items.assetId": 1,
+    requestStatus: 1,
+  });
+  await bookings.createIndex({
+    companyId: 1,
+    assetId: 1,
+    status: 1,
+    startDate: 1,
+  });
+  await bookings.createIndex({ requesterEmail: 1, startDate: -1 });
+  await bookings.createIndex({ status: 1, startDate: 1 });
+  await assignedAssets.createIndex({ bookingId: 1, status: 1 });
+  await auditLog.createIndex({ companyId: 1, entityType: 1, action: 1 });
+  await payments.createIndex(
+    { invoiceNumber: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { invoiceNumber: { $type: "string" } },
+    }
+  );
+  await payments.createIndex(
+    { stripeEventId: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { stripeEventId: { $type: "string" } },
+    }
+  );
+  await affiliations.createIndex(
+    { companyId: 1, employeeEmail: 1 },
+    { unique: true, partialFilterExpression: { status: "active" } }
+  );
+
+  // accounts created before email verification existed are grandfathered
+  await users.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+}
+
+module.exports = { prepareDatabase };
@@ -0,0 +1,117 @@
+const { HttpError, sendError } = require("./errors");
+
+// A package declares machine-readable `capabilities` and `limits`; its
+// `features` array is display text only. An HR's active package is
+// users.packageId, and everything that depends on the package goes through
+// loadEntitlements, requireCapability or takeEmployeeSeat.
+const CAPABILITIES = {
+  ASSET_TRACKING: "asset_tracking",
+  EMPLOYEE_MANAGEMENT: "employee_management",
+  ADVANCED_ANALYTICS: "advanced_analytics",
+  CUSTOM_BRANDING: "custom_branding",
+  PRIORITY_SUPPORT: "priority_support",
+  ROUND_THE_CLOCK_SUPPORT: "24_7_support",
+};
+
+const BASIC_PACKAGE = "Basic";
+
+// Entitlements of the stock packages, also used to backfill older documents
+const PACKAGE_ENTITLEMENTS = {
+  Basic: {
+    capabilities: [
+      CAPABILITIES.ASSET_TRACKING,
+      CAPABILITIES.EMPLOYEE_MANAGEMENT,
+    ],
+    limits: { employees: 5 },
+  },
+  Standard: {
+    capabilities: [
+      CAPABILITIES.ASSET_TRACKING,
+      CAPABILITIES.EMPLOYEE_MANAGEMENT,
+      CAPABILITIES.ADVANCED_ANALYTICS,
+      CAPABILITIES.PRIORITY_SUPPORT,
+    ],
+    limits: { employees: 10 },
+  },
+  Premium: {
+    capabilities: [
+      CAPABILITIES.ASSET_TRACKING,
+      CAPABILITIES.EMPLOYEE_MANAGEMENT,
+      CAPABILITIES.ADVANCED_ANALYTICS,
+      CAPABILITIES.PRIORITY_SUPPORT,
+      CAPABILITIES.CUSTOM_BRANDING,
+      CAPABILITIES.ROUND_THE_CLOCK_SUPPORT,
+    ],
+    limits: { employees: 20 },
+  },
+};
+
+function createEntitlements({ db }) {
+  async function loadEntitlements(hr, session) {
+    const packages = db.collection("packages");
+    let pkg = hr.packageId
+      ? await packages.findOne({ _id: hr.packageId }, { session })
+      : null;
+    if (!pkg)
+      pkg = await packages.findOne({ name: BASIC_PACKAGE }, { session });
+
+    const fallback = PACKAGE_ENTITLEMENTS[BASIC_PACKAGE];
+    return {
+      packageId: pkg ? pkg._id : null,
+      packageName: pkg ? pkg.name : BASIC_PACKAGE,
+      capabilities: (pkg && pkg.capabilities) || fallback.capabilities,
+      limits: {
+        employees: pkg?.limits?.employees ?? fallback.limits.employees,
+      },
+      usage: { employees: hr.currentEmployees || 0 },
+      subscriptionStatus: hr.subscriptionStatus || null,
+    };
+  }
+
+  // Gate an HR route on a capability of the caller's active package
+  function requireCapability(capability) {
+    return async (req, res, next) => {
+      try {
+        if (!req.entitlements)
+          req.entitlements = await loadEntitlements(req.currentUser);
+        if (!req.entitlements.capabilities.includes(capability))
+          return sendError(
+            res,
+            403,
+            `Your ${req.entitlements.packageName} package does not include this feature`,
+            { code: "capability_required", details: { capability } }
+          );
+        next();
+      } catch (err) {
+        console.error("entitlement check err:", err);
+        sendError(res, 500, "Entitlement check failed");
+      }
+    };
+  }
+
+  // Take one employee seat within the package's employee limit
+  async function takeEmployeeSeat(hr, session) {
+    const { limits } = await loadEntitlements(hr, session);
+    const seat = await db.collection("users").updateOne(
+      {
+        _id: hr._id,
+        $expr: {
+          $lt: [{ $ifNull: ["$currentEmployees", 0] }, limits.employees],
+        },
+      },
+      { $inc: { currentEmployees: 1 } },
+      { session }
+    );
+    if (seat.matchedCount === 0)
+      throw new HttpError(400, "Company has reached its employee limit");
+  }
+
+  return { loadEntitlements, requireCapability, takeEmployeeSeat };
+}
+
+module.exports = {
+  CAPABILITIES,
+  BASIC_PACKAGE,
+  PACKAGE_ENTITLEMENTS,
+  createEntitlements,
+};
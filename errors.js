@@ -0,0 +1,71 @@
+// Every error response has the shape { error: { code, message, details } }.
+// `code` is a stable machine-readable string; without one it is derived
+// from the status.
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "too_many_requests",
+  500: "internal_error",
+};
+
+// Thrown from inside a handler (or a transaction callback) to abort with a
+// client-facing status instead of a 500
+class HttpError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || ERROR_CODES[status] || "error";
+    this.details = details || null;
+  }
+}
+
+// A request that did not match its schema; details lists every problem
+class ValidationError extends HttpError {
+  constructor(details) {
+    super(400, "Request validation failed", {
+      code: "validation_failed",
+      details,
+    });
+  }
+}
+
+function sendError(res, status, message, { code, details } = {}) {
+  return res.status(status).json({
+    error: {
+      code: code || ERROR_CODES[status] || "error",
+      message,
+      details: details || null,
+    },
+  });
+}
+
+// After every router: a route nobody matched
+function notFoundHandler(req, res) {
+  sendError(res, 404, `Cannot ${req.method} ${req.path}`);
+}
+
+// Last middleware of the app: errors passed to next() or thrown by a handler
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err instanceof HttpError)
+    return sendError(res, err.status, err.message, err);
+  // body-parser rejects malformed JSON before any route runs
+  if (err.type === "entity.parse.failed")
+    return sendError(res, 400, "Malformed JSON body", { code: "invalid_json" });
+  if (err.status >= 400 && err.status < 500)
+    return sendError(res, err.status, err.message);
+  console.error("unhandled err:", err);
+  sendError(res, 500, "Internal server error");
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  sendError,
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,137 @@
+// Real-time events for connected clients. An event is stored in `events`
+// before it is pushed to the streams open on this server, so a client that
+// reconnects with its last event id is sent whatever it missed.
+//
+// An event is addressed to roles within its company (`roles`) and/or to
+// individual users (`emails`), and also lands in their notification inbox.
+const EVENT_RETENTION_DAYS = 7;
+
+// Most events a reconnecting client is sent before live ones resume
+const MAX_MISSED_EVENTS = 500;
+
+function canReceive(event, user, companyIds) {
+  if (event.emails.includes(user.email)) return true;
+  return (
+    event.roles.includes(user.role) &&
+    companyIds.some((id) => id.equals(event.companyId))
+  );
+}
+
+// A request status change, for the company's HRs and the requester
+function requestEvent(type, request, extra = {}) {
+  return {
+    type,
+    companyId: request.companyId,
+    roles: ["hr"],
+    emails: [request.requesterEmail],
+    data: {
+      requestId: request._id || null,
+      assetId: request.assetId,
+      assetName: request.assetName,
+      requesterEmail: request.requesterEmail,
+      requestStatus: request.requestStatus,
+      ...extra,
+    },
+  };
+}
+
+// A booking status change, for the company's HRs and the employee who
+// booked
+function bookingEvent(type, booking, extra = {}) {
+  return {
+    type,
+    companyId: booking.companyId,
+    roles: ["hr"],
+    emails: [booking.requesterEmail],
+    data: {
+      bookingId: booking._id || null,
+      assetId: booking.assetId,
+      assetName: booking.assetName,
+      requesterEmail: booking.requesterEmail,
+      quantity: booking.quantity,
+      startDate: booking.startDate,
+      endDate: booking.endDate,
+      status: booking.status,
+      ...extra,
+    },
+  };
+}
+
+// An employee joining or leaving, for the company's HRs and the employee
+function affiliationEvent(type, affiliation) {
+  return {
+    type,
+    companyId: affiliation.companyId,
+    roles: ["hr"],
+    emails: [affiliation.employeeEmail],
+    data: {
+      employeeEmail: affiliation.employeeEmail,
+      companyName: affiliation.companyName,
+      status: affiliation.status,
+    },
+  };
+}
+
+function createEvents({ db, clock, recordNotifications }) {
+  const listeners = new Set();
+
+  // Never lets a failed publish break the change it announces
+  async function publishEvent({
+    type,
+    companyId,
+    roles = [],
+    emails = [],
+    data = {},
+  }) {
+    try {
+      const event = {
+        type,
+        companyId,
+        roles,
+        emails: emails.filter(Boolean),
+        data,
+        at: clock.now(),
+      };
+      const { insertedId } = await db.collection("events").insertOne(event);
+      event._id = insertedId;
+      for (const listener of listeners) listener(event);
+      await recordNotifications(event);
+    } catch (err) {
+      console.error("publish event err:", err);
+    }
+  }
+
+  // Call `listener` with every event published from now on; returns the
+  // unsubscribe function
+  function subscribeEvents(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Events after `lastEventId` that `user` may receive, oldest first
+  function missedEvents(lastEventId, user, companyIds) {
+    return db
+      .collection("events")
+      .find({
+        _id: { $gt: lastEventId },
+        $or: [
+          { emails: user.email },
+          { roles: user.role, companyId: { $in: companyIds } },
+        ],
+      })
+      .sort({ _id: 1 })
+      .limit(MAX_MISSED_EVENTS)
+      .toArray();
+  }
+
+  return { publishEvent, subscribeEvents, missedEvents };
+}
+
+module.exports = {
+  EVENT_RETENTION_DAYS,
+  canReceive,
+  requestEvent,
+  bookingEvent,
+  affiliationEvent,
+  createEvents,
+};
@@ -0,0 +1,32 @@
+const admin = require("firebase-admin");
+
+// Initialise firebase-admin from FB_SERVICE_KEY (a base64 service account),
+// or against the Auth emulator when FIREBASE_AUTH_EMULATOR_HOST is set.
+// Returns null when neither is available; Google sign-in is then disabled.
+function initFirebaseAdmin(env = process.env) {
+  try {
+    const decoded = Buffer.from(env.FB_SERVICE_KEY, "base64").toString("utf8");
+    const serviceAccount = JSON.parse(decoded);
+
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+    console.log(" Firebase admin initialized");
+    return admin;
+  } catch (err) {
+    if (env.FIREBASE_AUTH_EMULATOR_HOST) {
+      // the Auth emulator accepts any project id and needs no credential
+      admin.initializeApp({
+        projectId: env.FIREBASE_PROJECT_ID || "demo-assetverse",
+      });
+      console.log(" Firebase admin initialized against the Auth emulator");
+      return admin;
+    }
+    console.warn(
+      " Firebase service account not found — skipping admin.initializeApp(). Provide `assetverse-client-firebasse-adminsdk.json` in the project root to enable Firebase admin features."
+    );
+    return null;
+  }
+}
+
+module.exports = { initFirebaseAdmin };
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { HttpError } = require("./errors");
+const { singleFileUpload } = require("./uploads");
+
+// Uploaded images: asset pictures and company logos. An upload is decoded
+// to make sure it really is an image, re-encoded without its metadata
+// (EXIF can carry GPS positions) and stored next to a small WebP thumbnail.
+const IMAGE_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+const EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp" };
+const THUMBNAIL_SIZE = 256;
+
+// Content type of a stored key, from its extension
+function contentTypeOf(key) {
+  const ext = key.split(".").pop();
+  const format = Object.keys(EXTENSIONS).find((f) => EXTENSIONS[f] === ext);
+  return format ? IMAGE_TYPES[format] : null;
+}
+
+function createImages({ storage, config }) {
+  // Multipart middleware for a single image in `field`
+  function imageUpload(field) {
+    return singleFileUpload(field, {
+      maxBytes: config.maxImageBytes,
+      accepts: (file) => Object.values(IMAGE_TYPES).includes(file.mimetype),
+      typeMessage: "Images must be JPEG, PNG or WebP",
+    });
+  }
+
+  // Store an uploaded image and its thumbnail under `prefix`
+  async function storeImage(prefix, file) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (err) {
+      throw new HttpError(400, "File is not a readable image", {
+        code: "invalid_image",
+      });
+    }
+    if (!IMAGE_TYPES[metadata.format])
+      throw new HttpError(415, "Images must be JPEG, PNG or WebP", {
+        code: "unsupported_media_type",
+      });
+
+    const id = crypto.randomUUID();
+    const key = `${prefix}/${id}.${EXTENSIONS[metadata.format]}`;
+    const thumbnailKey = `${prefix}/${id}-thumb.webp`;
+
+    const image = await sharp(file.buffer).rotate().toBuffer();
+    const thumbnail = await sharp(file.buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp()
+      .toBuffer();
+    await storage.save(key, image);
+    await storage.save(thumbnailKey, thumbnail);
+
+    return {
+      key,
+      thumbnailKey,
+      contentType: IMAGE_TYPES[metadata.format],
+      size: image.length,
+      width: metadata.width,
+      height: metadata.height,
+    };
+  }
+
+  // Never lets a failed cleanup break the change that replaced the image
+  async function removeImage(image) {
+    if (!image) return;
+    try {
+      await storage.remove(image.key);
+      await storage.remove(image.thumbnailKey);
+    } catch (err) {
+      console.error("remove image err:", err);
+    }
+  }
+
+  function imageUrl(key) {
+    return `${config.publicUrl}/images/${key}`;
+  }
+
+  return { imageUpload, storeImage, removeImage, imageUrl };
+}
+
+module.exports = { IMAGE_TYPES, contentTypeOf, createImages };
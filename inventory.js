@@ -0,0 +1,98 @@
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const { HttpError } = require("./errors");
+
+// Reading inventory spreadsheets for import.
+// Headers are matched loosely ("Product Name", "product_name" and "name" are
+// the same column) and columns nobody asked for are ignored.
+const IMPORT_FORMATS = ["csv", "xlsx"];
+const MAX_IMPORT_ROWS = 2000;
+
+const COLUMN_ALIASES = {
+  productname: "productName",
+  name: "productName",
+  producttype: "productType",
+  type: "productType",
+  sku: "sku",
+  quantity: "quantity",
+  productquantity: "quantity",
+  qty: "quantity",
+  productimage: "productImage",
+  image: "productImage",
+};
+
+function columnFor(header) {
+  const key = String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  return COLUMN_ALIASES[key] || null;
+}
+
+function formatOf(file) {
+  const ext = (file.originalname || "").split(".").pop().toLowerCase();
+  return IMPORT_FORMATS.includes(ext) ? ext : null;
+}
+
+function readCsv(buffer) {
+  const records = parse(buffer, {
+    bom: true,
+    columns: (headers) => headers.map(columnFor),
+    info: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+  return records.map(({ info, record }) => ({ row: info.lines, ...record }));
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const columns = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    columns[col] = columnFor(cell.text);
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = { row: rowNumber };
+    row.eachCell((cell, col) => {
+      if (columns[col]) record[columns[col]] = cell.text.trim();
+    });
+    if (Object.keys(record).length > 1) rows.push(record);
+  });
+  return rows;
+}
+
+// The rows of an uploaded CSV or XLSX file, each with its line number
+async function readInventoryFile(file) {
+  let rows;
+  try {
+    rows =
+      formatOf(file) === "xlsx"
+        ? await readXlsx(file.buffer)
+        : readCsv(file.buffer);
+  } catch (err) {
+    throw new HttpError(400, `Could not read the file: ${err.message}`, {
+      code: "invalid_file",
+    });
+  }
+  if (rows.length === 0) throw new HttpError(400, "The file has no rows");
+  if (rows.length > MAX_IMPORT_ROWS)
+    throw new HttpError(
+      400,
+      `Import at most ${MAX_IMPORT_ROWS} rows at a time`
+    );
+  return rows;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  formatOf,
+  readInventoryFile,
+};
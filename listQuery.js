@@ -0,0 +1,157 @@
+const { ObjectId } = require("mongodb");
+const { HttpError } = require("./errors");
+
+// Shared pagination, search, filtering and sorting for list endpoints.
+//
+// A route describes what it allows with a spec:
+//   search:      fields matched case-insensitively by ?search=
+//   filters:     { param: { field, values } } for ?param=a,b
+//   stockStatus: { status: mongoFilter } for ?stockStatus=
+//   dateField:   field bounded by ?from= and ?to=
+//   sortable:    { param: field } whitelist for ?sort=name or ?sort=-name
+//   defaultSort: used when ?sort= is absent
+//
+// Pages are addressed either by ?page=&limit= or by the opaque ?cursor=
+// returned as nextCursor from the previous page.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseDate(value, param) {
+  const date = new Date(value);
+  if (isNaN(date)) throw new HttpError(400, `Invalid ${param} date`);
+  return date;
+}
+
+function encodeCursor(doc, sortField) {
+  const value = sortField.split(".").reduce((v, key) => v?.[key], doc);
+  return Buffer.from(
+    JSON.stringify({
+      v: value ?? null,
+      d: value instanceof Date,
+      id: doc._id.toString(),
+    })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { v, d, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    return { value: d ? new Date(v) : v, id: new ObjectId(id) };
+  } catch (err) {
+    throw new HttpError(400, "Invalid cursor");
+  }
+}
+
+function parseListQuery(query, spec) {
+  const clauses = [];
+
+  const search = query.search ? String(query.search).trim() : "";
+  if (search && spec.search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    clauses.push({ $or: spec.search.map((field) => ({ [field]: pattern })) });
+  }
+
+  for (const [param, def] of Object.entries(spec.filters || {})) {
+    if (query[param] === undefined || query[param] === "") continue;
+    const values = String(query[param]).split(",");
+    for (const value of values) {
+      if (def.values && !def.values.includes(value))
+        throw new HttpError(400, `Invalid ${param}: ${value}`);
+    }
+    clauses.push({
+      [def.field || param]: values.length === 1 ? values[0] : { $in: values },
+    });
+  }
+
+  if (query.stockStatus && spec.stockStatus) {
+    const clause = spec.stockStatus[query.stockStatus];
+    if (!clause)
+      throw new HttpError(400, `Invalid stockStatus: ${query.stockStatus}`);
+    clauses.push(clause);
+  }
+
+  if ((query.from || query.to) && spec.dateField) {
+    const range = {};
+    if (query.from) range.$gte = parseDate(query.from, "from");
+    if (query.to) range.$lte = parseDate(query.to, "to");
+    clauses.push({ [spec.dateField]: range });
+  }
+
+  const sortParam = String(query.sort || spec.defaultSort);
+  const sortDir = sortParam.startsWith("-") ? -1 : 1;
+  const sortName = sortParam.replace(/^-/, "");
+  const sortField = spec.sortable[sortName];
+  if (!sortField) throw new HttpError(400, `Cannot sort by ${sortName}`);
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  return {
+    filter: clauses.length > 0 ? { $and: clauses } : {},
+    sortField,
+    sortDir,
+    limit,
+    page,
+    cursor: query.cursor ? decodeCursor(String(query.cursor)) : null,
+  };
+}
+
+// Run a parsed list query against a collection (or a tenant-scoped one)
+async function runListQuery(collection, baseFilter, listQuery) {
+  const { sortField, sortDir, limit, page, cursor } = listQuery;
+  const filter = { $and: [baseFilter, listQuery.filter] };
+  const sort = { [sortField]: sortDir, _id: sortDir };
+
+  let pageFilter = filter;
+  let skip = (page - 1) * limit;
+  if (cursor) {
+    const op = sortDir === 1 ? "$gt" : "$lt";
+    pageFilter = {
+      $and: [
+        filter,
+        {
+          $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+          ],
+        },
+      ],
+    };
+    skip = 0;
+  }
+
+  const [items, total] = await Promise.all([
+    collection
+      .find(pageFilter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit + 1)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    total,
+    page: cursor ? null : page,
+    limit,
+    hasMore,
+    nextCursor: hasMore && last ? encodeCursor(last, sortField) : null,
+  };
+}
+
+module.exports = { parseListQuery, runListQuery, escapeRegex };
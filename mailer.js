@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+
+// A mail transport is anything with `send({ to, subject, text, html })`.
+// Pick one with MAIL_TRANSPORT=smtp|file; tests hand createApp a memory
+// transport instead.
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Make text safe to put into the html body of a message, attribute values
+// included. Names and company names are whatever their owners typed.
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (c) => HTML_ENTITIES[c]);
+}
+
+// SMTP transport backed by nodemailer
+function createSmtpTransport() {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+  const from = process.env.MAIL_FROM || "AssetVerse <no-reply@assetverse.app>";
+
+  return {
+    send: (message) => transporter.sendMail({ from, ...message }),
+  };
+}
+
+// Writes each message as a JSON file, handy for local development
+function createFileTransport(dir = process.env.MAIL_DIR || "./mail-outbox") {
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+      );
+      await fs.promises.writeFile(
+        file,
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+      return { file };
+    },
+  };
+}
+
+// Keeps messages in memory; tests read them back from `sent`. Never used
+// outside tests, so `sent` only grows for the length of a test run.
+function createMemoryTransport() {
+  const sent = [];
+  return {
+    sent,
+    send: async (message) => {
+      sent.push({ ...message, sentAt: new Date() });
+      return { queued: sent.length };
+    },
+  };
+}
+
+// SMTP when SMTP_HOST is set, the file transport otherwise. In production
+// mail has to go somewhere real, so without SMTP_HOST the server refuses to
+// start unless MAIL_TRANSPORT=file asks for the outbox explicitly.
+function createMailer() {
+  const kind =
+    process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "file");
+  if (kind === "smtp") {
+    if (!process.env.SMTP_HOST)
+      throw new Error("MAIL_TRANSPORT=smtp needs SMTP_HOST");
+    return createSmtpTransport();
+  }
+  if (kind === "file") {
+    if (process.env.NODE_ENV === "production" && !process.env.MAIL_TRANSPORT)
+      throw new Error("Set SMTP_HOST, or MAIL_TRANSPORT=file, in production");
+    return createFileTransport();
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+}
+
+module.exports = {
+  escapeHtml,
+  createMailer,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+};
@@ -0,0 +1,82 @@
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+const { sendError } = require("./errors");
+const { resolveTenant } = require("./tenancy");
+
+// Authentication and role middleware. Built per app so each one reads the
+// injected database, clock and config.
+function createAuthMiddleware({ db, clock, config }) {
+  // verifyToken middleware
+  async function verifyToken(req, res, next) {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader) return sendError(res, 401, "Unauthorized");
+
+      const token = authHeader.split(" ")[1];
+      if (!token) return sendError(res, 401, "Unauthorized");
+
+      const decoded = jwt.verify(token, config.jwtSecret, {
+        algorithms: ["HS256"],
+        clockTimestamp: Math.floor(clock.now().getTime() / 1000),
+      });
+      if (!decoded.sid || !ObjectId.isValid(decoded.sid))
+        return sendError(res, 401, "Token invalid or expired");
+
+      // reject tokens whose login session was revoked
+      const session = await db
+        .collection("sessions")
+        .findOne({ _id: new ObjectId(decoded.sid) });
+      if (!session || session.revokedAt)
+        return sendError(res, 401, "Session revoked");
+
+      // attach user info to req
+      req.user = decoded;
+      req.sessionId = session._id;
+      // optionally fetch fresh user from DB
+      const user = await db
+        .collection("users")
+        .findOne({ email: decoded.email });
+      if (!user) return sendError(res, 401, "User not found");
+      req.currentUser = user;
+      req.tenant = await resolveTenant(db, user);
+      next();
+    } catch (err) {
+      console.error("verifyToken error:", err);
+      return sendError(res, 401, "Token invalid or expired");
+    }
+  }
+
+  // verifyHR middleware
+  function verifyHR(req, res, next) {
+    if (!req.currentUser) return sendError(res, 401, "Unauthorized");
+    if (req.currentUser.role !== "hr")
+      return sendError(res, 403, "HR only route");
+    if (!req.currentUser.emailVerified)
+      return sendError(
+        res,
+        403,
+        "Verify your email address to use HR features"
+      );
+    next();
+  }
+
+  // verifyAdmin middleware: platform operators are listed in ADMIN_EMAILS
+  function verifyAdmin(req, res, next) {
+    if (!req.currentUser) return sendError(res, 401, "Unauthorized");
+    if (!config.adminEmails.includes(req.currentUser.email.toLowerCase()))
+      return sendError(res, 403, "Admin only route");
+    next();
+  }
+
+  // verifyEmployee middleware
+  function verifyEmployee(req, res, next) {
+    if (!req.currentUser) return sendError(res, 401, "Unauthorized");
+    if (req.currentUser.role !== "employee")
+      return sendError(res, 403, "Employee only route");
+    next();
+  }
+
+  return { verifyToken, verifyHR, verifyAdmin, verifyEmployee };
+}
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,141 @@
+// The in-app inbox. Every published event leaves one notification per
+// recipient, unless that recipient muted the event type. Read notifications
+// expire through a TTL index on readAt; unread ones are kept.
+const NOTIFICATION_TYPES = [
+  "request.created",
+  "request.approved",
+  "request.partially_approved",
+  "request.rejected",
+  "request.back_in_stock",
+  "return.requested",
+  "request.returned",
+  "booking.created",
+  "booking.approved",
+  "booking.rejected",
+  "booking.cancelled",
+  "booking.started",
+  "booking.unfulfilled",
+  "booking.expired",
+  "affiliation.created",
+  "affiliation.removed",
+  "payment.completed",
+  "payment.failed",
+  "payment.refunded",
+  "stock.low",
+];
+
+const READ_RETENTION_DAYS = 30;
+
+// One line of text per event type, shown as the notification title
+function describeEvent({ type, data }) {
+  switch (type) {
+    case "request.created":
+      return `${data.requesterEmail} requested ${data.assetName}`;
+    case "request.approved":
+      return `Request for ${data.assetName} by ${data.requesterEmail} was approved`;
+    case "request.partially_approved":
+      return `Request for ${data.assetName} by ${data.requesterEmail} was partly approved`;
+    case "request.rejected":
+      return `Request for ${data.assetName} by ${data.requesterEmail} was rejected`;
+    case "return.requested":
+      return `${data.requesterEmail} wants to return ${data.assetName}`;
+    case "request.returned":
+      return data.condition && data.condition !== "good"
+        ? `${data.assetName} from ${data.requesterEmail} came back ${data.condition}`
+        : `${data.assetName} was returned by ${data.requesterEmail}`;
+    case "request.back_in_stock":
+      return `${data.assetName} is back in stock for ${data.requesterEmail}`;
+    case "booking.created":
+      return `${data.requesterEmail} wants to book ${data.assetName}`;
+    case "booking.approved":
+      return `Booking of ${data.assetName} by ${data.requesterEmail} was approved`;
+    case "booking.rejected":
+      return `Booking of ${data.assetName} by ${data.requesterEmail} was rejected`;
+    case "booking.cancelled":
+      return `${data.requesterEmail} cancelled their booking of ${data.assetName}`;
+    case "booking.started":
+      return `${data.assetName} was handed over to ${data.requesterEmail} for their booking`;
+    case "booking.unfulfilled":
+      return `${data.assetName} could not be handed over to ${data.requesterEmail} for their booking`;
+    case "booking.expired":
+      return `Booking of ${data.assetName} by ${data.requesterEmail} expired before it could start`;
+    case "stock.low":
+      return data.availableQuantity > 0
+        ? `${data.assetName} is running low: ${data.availableQuantity} left`
+        : `${data.assetName} is out of stock`;
+    case "affiliation.created":
+      return `${data.employeeEmail} joined ${data.companyName}`;
+    case "affiliation.removed":
+      return `${data.employeeEmail} was removed from ${data.companyName}`;
+    case "payment.completed":
+      return `Payment of $${data.amount} for ${data.packageName} received`;
+    case "payment.failed":
+      return `Payment for your ${data.packageName} subscription failed`;
+    case "payment.refunded":
+      return `Payment of $${data.amount} was refunded`;
+    default:
+      return type;
+  }
+}
+
+function createNotifications({ db }) {
+  // Everyone an event is addressed to, minus those who muted its type
+  async function recipientsOf(event) {
+    const emails = new Set(event.emails);
+    if (event.roles.includes("hr")) {
+      const hrs = await db
+        .collection("users")
+        .find({ role: "hr", companyId: event.companyId })
+        .project({ email: 1 })
+        .toArray();
+      for (const hr of hrs) emails.add(hr.email);
+    }
+    if (event.roles.includes("employee")) {
+      const links = await db
+        .collection("employeeAffiliations")
+        .find({ companyId: event.companyId, status: "active" })
+        .project({ employeeEmail: 1 })
+        .toArray();
+      for (const link of links) emails.add(link.employeeEmail);
+    }
+
+    return db
+      .collection("users")
+      .find({
+        email: { $in: [...emails] },
+        mutedNotifications: { $ne: event.type },
+      })
+      .project({ email: 1 })
+      .toArray();
+  }
+
+  // Called by publishEvent for every stored event
+  async function recordNotifications(event) {
+    if (!NOTIFICATION_TYPES.includes(event.type)) return;
+    const recipients = await recipientsOf(event);
+    if (recipients.length === 0) return;
+
+    const title = describeEvent(event);
+    await db.collection("notifications").insertMany(
+      recipients.map((user) => ({
+        userId: user._id,
+        companyId: event.companyId,
+        eventId: event._id,
+        type: event.type,
+        title,
+        data: event.data,
+        readAt: null,
+        createdAt: event.at,
+      }))
+    );
+  }
+
+  return { recordNotifications };
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  READ_RETENTION_DAYS,
+  describeEvent,
+  createNotifications,
+};
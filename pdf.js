@@ -0,0 +1,234 @@
+const PDFDocument = require("pdfkit");
+
+// Server-side PDF documents. Each writer pipes straight into an HTTP
+// response (or any writable stream) and ends it.
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : "-";
+}
+
+function formatMoney(amount, currency = "USD") {
+  return `${Number(amount || 0).toFixed(2)} ${currency}`;
+}
+
+// Label/value rows in two columns
+function writeRows(doc, rows) {
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font("Helvetica-Bold").text(label, 50, y, { width: 150 });
+    doc.font("Helvetica").text(String(value ?? "-"), 200, y, { width: 345 });
+    doc.moveDown(0.4);
+  }
+}
+
+// Product name and document kind at the top of the first page
+function writeHeader(doc, title) {
+  doc.fontSize(20).font("Helvetica-Bold").text("AssetVerse");
+  doc.fontSize(10).font("Helvetica").fillColor("#555").text(title);
+  doc.fillColor("#000").moveDown(1.5);
+}
+
+// A table with a bold header row. `columns` are { label, width } and each
+// row holds one value per column; rows that would run off the page start
+// a new one, header included.
+function writeTable(doc, columns, rows) {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const heightOf = (cells) =>
+    Math.max(
+      ...cells.map((cell, i) =>
+        doc.heightOfString(cell, { width: columns[i].width - 6 })
+      )
+    );
+
+  function writeLine(cells, font) {
+    doc.font(font).fontSize(9);
+    const height = heightOf(cells);
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      if (font !== "Helvetica-Bold")
+        writeLine(
+          columns.map((column) => column.label),
+          "Helvetica-Bold"
+        );
+      doc.font(font).fontSize(9);
+    }
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x, y, { width: columns[i].width - 6 });
+      x += columns[i].width;
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + height + 4;
+  }
+
+  writeLine(
+    columns.map((column) => column.label),
+    "Helvetica-Bold"
+  );
+  for (const row of rows)
+    writeLine(
+      row.map((value) => String(value ?? "-")),
+      "Helvetica"
+    );
+  doc.fontSize(11);
+}
+
+function writeInvoicePdf(stream, invoice) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  writeHeader(doc, "Payment invoice");
+
+  doc.fontSize(14).font("Helvetica-Bold").text(`Invoice ${invoice.number}`);
+  doc.moveDown(0.8).fontSize(11);
+
+  writeRows(doc, [
+    ["Date", formatDate(invoice.date)],
+    ["Billed to", invoice.companyName],
+    ["HR contact", invoice.hrEmail],
+    ["Package", invoice.packageName],
+    ["Billing period ends", formatDate(invoice.periodEnd)],
+    ["Transaction id", invoice.transactionId],
+    ["Status", invoice.status],
+  ]);
+
+  doc.moveDown(1);
+  doc
+    .fontSize(13)
+    .font("Helvetica-Bold")
+    .text(`Total: ${formatMoney(invoice.amount)}`, { align: "right" });
+
+  if (invoice.refundedAmount) {
+    doc
+      .fontSize(11)
+      .font("Helvetica")
+      .text(`Refunded: ${formatMoney(invoice.refundedAmount)}`, {
+        align: "right",
+      });
+  }
+
+  doc.end();
+}
+
+// The record of one assignment: what was handed over, to whom and by
+// whom, and how it came back. Both sides sign the printed copy.
+function writeHandoverReceiptPdf(stream, receipt) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  writeHeader(doc, "Asset handover receipt");
+
+  doc.fontSize(14).font("Helvetica-Bold").text(`Receipt ${receipt.number}`);
+  doc.moveDown(0.8).fontSize(11);
+
+  writeRows(doc, [
+    ["Company", receipt.companyName],
+    ["Asset", receipt.assetName],
+    ["Type", receipt.assetType],
+    ["Asset tag", receipt.assetTag],
+    ["Serial number", receipt.serialNumber],
+    ["Employee", `${receipt.employeeName || ""} <${receipt.employeeEmail}>`],
+    ["Handed over by", receipt.hrName || receipt.hrEmail],
+    ["Handed over on", formatDate(receipt.assignmentDate)],
+    ["Condition at handover", receipt.handoverCondition],
+    ["Status", receipt.status],
+  ]);
+
+  if (receipt.returnDate) {
+    doc.moveDown(0.6);
+    writeRows(doc, [
+      ["Returned on", formatDate(receipt.returnDate)],
+      ["Condition at return", receipt.returnCondition],
+      ["Received by", receipt.receivedBy],
+      ["Notes", receipt.returnNotes || "-"],
+    ]);
+  }
+
+  doc.moveDown(3);
+  const y = doc.y;
+  doc.moveTo(50, y).lineTo(250, y).moveTo(345, y).lineTo(545, y).stroke();
+  doc
+    .fontSize(9)
+    .text("Employee signature", 50, y + 5, { width: 200 })
+    .text("HR signature", 345, y + 5, { width: 200 });
+
+  doc.end();
+}
+
+const HOLDING_COLUMNS = [
+  { label: "Employee", width: 110 },
+  { label: "Asset", width: 105 },
+  { label: "Tag", width: 65 },
+  { label: "Serial", width: 70 },
+  { label: "Requested", width: 50 },
+  { label: "Assigned", width: 50 },
+  { label: "Status", width: 45 },
+];
+
+// What one employee, or everyone in a company, holds right now, followed
+// by the request lines still waiting for HR
+function writeHoldingsReportPdf(stream, report) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  writeHeader(doc, "Asset holdings report");
+
+  doc.fontSize(14).font("Helvetica-Bold").text(report.title);
+  doc.moveDown(0.8).fontSize(11);
+  writeRows(doc, [
+    ["Company", report.companyName],
+    ["Generated", formatDate(report.generatedAt)],
+    ["Items held", report.holdings.length],
+    ["Pending requests", report.pending.length],
+  ]);
+
+  doc.moveDown(1).fontSize(12).font("Helvetica-Bold").text("Holdings");
+  doc.moveDown(0.4);
+  writeTable(
+    doc,
+    HOLDING_COLUMNS,
+    report.holdings.map((item) => [
+      item.employeeName || item.employeeEmail,
+      item.assetName,
+      item.assetTag,
+      item.serialNumber,
+      formatDate(item.requestDate),
+      formatDate(item.assignmentDate),
+      item.status,
+    ])
+  );
+
+  if (report.pending.length > 0) {
+    doc
+      .moveDown(1)
+      .fontSize(12)
+      .font("Helvetica-Bold")
+      .text("Pending requests");
+    doc.moveDown(0.4);
+    writeTable(
+      doc,
+      [
+        ...HOLDING_COLUMNS.slice(0, 2),
+        { label: "Quantity", width: 50 },
+        HOLDING_COLUMNS[4],
+      ],
+      report.pending.map((line) => [
+        line.requesterName || line.requesterEmail,
+        line.assetName,
+        line.quantity,
+        formatDate(line.requestDate),
+      ])
+    );
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  writeInvoicePdf,
+  writeHandoverReceiptPdf,
+  writeHoldingsReportPdf,
+  formatDate,
+  formatMoney,
+};
@@ -0,0 +1,86 @@
+const { ObjectId } = require("mongodb");
+
+// A request holds one or more lines, each asking for a quantity of one
+// asset. HR decides every line on its own: approve it in full, approve
+// fewer units than asked, or reject it. A line asking for more than is in
+// stock is waitlisted instead, until a restock puts it back to pending.
+// The request's requestStatus is derived from its lines and never set by
+// hand.
+//
+// assetId, assetName and assetType on the request itself describe the
+// lines as a whole (the first line's asset and type, every line's name),
+// so lists, search and events keep working for clients that predate lines.
+
+const LINE_STATUSES = ["pending", "waitlisted", "approved", "rejected"];
+const REQUEST_STATUSES = [
+  "pending",
+  "waitlisted",
+  "partially_approved",
+  "approved",
+  "rejected",
+  "returned",
+];
+
+// Lines and requests HR can still decide
+const OPEN_LINE_STATUSES = ["pending", "waitlisted"];
+const OPEN_STATUSES = ["pending", "waitlisted"];
+
+// Statuses of a request that has at least one approved line
+const APPROVED_STATUSES = ["partially_approved", "approved", "returned"];
+
+const MAX_REQUEST_LINES = 20;
+const MAX_LINE_QUANTITY = 20;
+
+// A new line for `quantity` units of `asset`, waitlisted when fewer than
+// that are `free` for requests
+function newLine(asset, quantity, free) {
+  const inStock = free >= quantity;
+  return {
+    lineId: new ObjectId(),
+    assetId: asset._id.toString(),
+    assetName: asset.productName,
+    assetType: asset.productType,
+    quantity,
+    approvedQuantity: null,
+    status: inStock ? "pending" : "waitlisted",
+    assignmentIds: [],
+    decidedAt: null,
+  };
+}
+
+// The request-level fields that summarise its lines
+function describeLines(items) {
+  return {
+    assetId: items[0].assetId,
+    assetName: items.map((line) => line.assetName).join(", "),
+    assetType: items[0].assetType,
+  };
+}
+
+// Pending while any line waits for HR, waitlisted while the only undecided
+// lines wait for stock; otherwise approved when every line got all it
+// asked for, rejected when none got anything, and partially approved in
+// between
+function requestStatusOf(items) {
+  if (items.some((line) => line.status === "pending")) return "pending";
+  if (items.some((line) => line.status === "waitlisted")) return "waitlisted";
+  if (items.every((line) => line.status === "rejected")) return "rejected";
+  const inFull = items.every(
+    (line) =>
+      line.status === "approved" && line.approvedQuantity === line.quantity
+  );
+  return inFull ? "approved" : "partially_approved";
+}
+
+module.exports = {
+  LINE_STATUSES,
+  REQUEST_STATUSES,
+  OPEN_LINE_STATUSES,
+  OPEN_STATUSES,
+  APPROVED_STATUSES,
+  MAX_REQUEST_LINES,
+  MAX_LINE_QUANTITY,
+  newLine,
+  describeLines,
+  requestStatusOf,
+};
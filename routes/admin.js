@@ -0,0 +1,101 @@
+const express = require("express");
+const { sendError } = require("../errors");
+const { validate } = require("../validate");
+
+function createAdminRouter(ctx) {
+  const { db, verifyToken, verifyAdmin, processStripeEvent } = ctx;
+  const stripeEvents = db.collection("stripeEvents");
+  const router = express.Router();
+
+  // ------------------ ADMIN: STRIPE EVENT STORE ------------------
+  router.get(
+    "/admin/webhook-events",
+    verifyToken,
+    verifyAdmin,
+    validate({
+      query: {
+        status: {
+          type: "string",
+          enum: ["received", "processing", "processed", "failed"],
+          default: "failed",
+        },
+        limit: { type: "integer", min: 1, max: 200, default: 50 },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const { status, limit } = req.query;
+        const events = await stripeEvents
+          .find({ status })
+          .project({ payload: 0 })
+          .sort({ receivedAt: -1 })
+          .limit(limit)
+          .toArray();
+        res.json({ events });
+      } catch (err) {
+        console.error("list webhook events err:", err);
+        sendError(res, 500, "Fetch failed");
+      }
+    }
+  );
+
+  // Replay one failed event
+  router.post(
+    "/admin/webhook-events/:id/replay",
+    verifyToken,
+    verifyAdmin,
+    validate({ params: { id: { type: "string", required: true } } }),
+    async (req, res) => {
+      try {
+        const stored = await stripeEvents.findOne({ _id: req.params.id });
+        if (!stored) return sendError(res, 404, "Event not found");
+        if (stored.status !== "failed")
+          return sendError(res, 400, `Event is ${stored.status}, not failed`);
+
+        const outcome = await processStripeEvent(stored._id);
+        res.json({
+          success: outcome.status === "processed",
+          status: outcome.status,
+          error: outcome.error ? outcome.error.message : null,
+        });
+      } catch (err) {
+        console.error("replay webhook event err:", err);
+        sendError(res, 500, "Replay failed");
+      }
+    }
+  );
+
+  // Replay every failed event, oldest first
+  router.post(
+    "/admin/webhook-events/replay-failed",
+    verifyToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const failed = await stripeEvents
+          .find({ status: "failed" })
+          .project({ _id: 1 })
+          .sort({ receivedAt: 1 })
+          .toArray();
+
+        const results = [];
+        for (const { _id } of failed) {
+          const outcome = await processStripeEvent(_id);
+          results.push({ id: _id, status: outcome.status });
+        }
+        res.json({
+          replayed: results.length,
+          processed: results.filter((r) => r.status === "processed").length,
+          results,
+        });
+      } catch (err) {
+        console.error("replay failed events err:", err);
+        sendError(res, 500, "Replay failed");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
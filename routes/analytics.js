@@ -0,0 +1,354 @@
+const express = require("express");
+const { HELD_STATUSES } = require("../assetUnits");
+const { CAPABILITIES } = require("../entitlements");
+const { HttpError, sendError } = require("../errors");
+const { APPROVED_STATUSES } = require("../requestLines");
+const { validate } = require("../validate");
+
+function createAnalyticsRouter(ctx) {
+  const { clock, verifyToken, verifyHR, requireCapability } = ctx;
+  const router = express.Router();
+
+  // ------------------ ANALYTICS ------------------
+  // Aggregations behind the "Advanced Analytics" package feature. All of
+  // them run through req.tenant, so they only ever see the HR's company.
+  const APPROVED = APPROVED_STATUSES;
+  const DECIDED = [...APPROVED_STATUSES, "rejected"];
+
+  function sendAnalyticsError(res, err) {
+    if (err instanceof HttpError)
+      return sendError(res, err.status, err.message, err);
+    console.error("analytics err:", err);
+    sendError(res, 500, "Failed to compute analytics");
+  }
+
+  // Returnable vs non-returnable: assets, units and requests per type
+  router.get(
+    "/analytics/returnable-split",
+    verifyToken,
+    verifyHR,
+    requireCapability(CAPABILITIES.ADVANCED_ANALYTICS),
+    async (req, res) => {
+      try {
+        const [assetSplit, requestSplit] = await Promise.all([
+          req.tenant
+            .collection("assets")
+            .aggregate([
+              {
+                $group: {
+                  _id: "$productType",
+                  assets: { $sum: 1 },
+                  units: { $sum: "$productQuantity" },
+                  available: { $sum: "$availableQuantity" },
+                },
+              },
+            ])
+            .toArray(),
+          req.tenant
+            .collection("requests")
+            .aggregate([
+              { $unwind: "$items" },
+              { $group: { _id: "$items.assetType", requests: { $sum: 1 } } },
+            ])
+            .toArray(),
+        ]);
+
+        const split = ["Returnable", "Non-returnable"].map((type) => {
+          const assets = assetSplit.find((a) => a._id === type) || {};
+          const requests = requestSplit.find((r) => r._id === type) || {};
+          return {
+            productType: type,
+            assets: assets.assets || 0,
+            units: assets.units || 0,
+            available: assets.available || 0,
+            requests: requests.requests || 0,
+          };
+        });
+        res.json({ split });
+      } catch (err) {
+        sendAnalyticsError(res, err);
+      }
+    }
+  );
+
+  // Most requested assets
+  router.get(
+    "/analytics/top-requested",
+    verifyToken,
+    verifyHR,
+    requireCapability(CAPABILITIES.ADVANCED_ANALYTICS),
+    validate({
+      query: { limit: { type: "integer", min: 1, max: 50, default: 5 } },
+    }),
+    async (req, res) => {
+      try {
+        const { limit } = req.query;
+        const top = await req.tenant
+          .collection("requests")
+          .aggregate([
+            { $unwind: "$items" },
+            {
+              $group: {
+                _id: "$items.assetId",
+                assetName: { $last: "$items.assetName" },
+                assetType: { $last: "$items.assetType" },
+                requests: { $sum: 1 },
+                approved: {
+                  $sum: {
+                    $cond: [{ $eq: ["$items.status", "approved"] }, 1, 0],
+                  },
+                },
+              },
+            },
+            { $sort: { requests: -1, assetName: 1 } },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                assetId: "$_id",
+                assetName: 1,
+                assetType: 1,
+                requests: 1,
+                approved: 1,
+              },
+            },
+          ])
+          .toArray();
+        res.json({ topRequested: top });
+      } catch (err) {
+        sendAnalyticsError(res, err);
+      }
+    }
+  );
+
+  // Request volume and approval rate per month
+  router.get(
+    "/analytics/monthly-requests",
+    verifyToken,
+    verifyHR,
+    requireCapability(CAPABILITIES.ADVANCED_ANALYTICS),
+    validate({
+      query: { months: { type: "integer", min: 1, max: 36, default: 12 } },
+    }),
+    async (req, res) => {
+      try {
+        const { months } = req.query;
+        const since = clock.now();
+        since.setUTCDate(1);
+        since.setUTCHours(0, 0, 0, 0);
+        since.setUTCMonth(since.getUTCMonth() - (months - 1));
+
+        const rows = await req.tenant
+          .collection("requests")
+          .aggregate([
+            { $match: { requestDate: { $gte: since } } },
+            {
+              $group: {
+                _id: {
+                  $dateToString: { format: "%Y-%m", date: "$requestDate" },
+                },
+                requests: { $sum: 1 },
+                decided: {
+                  $sum: {
+                    $cond: [{ $in: ["$requestStatus", DECIDED] }, 1, 0],
+                  },
+                },
+                approved: {
+                  $sum: {
+                    $cond: [{ $in: ["$requestStatus", APPROVED] }, 1, 0],
+                  },
+                },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ])
+          .toArray();
+
+        res.json({
+          months: rows.map((row) => ({
+            month: row._id,
+            requests: row.requests,
+            approved: row.approved,
+            approvalRate:
+              row.decided > 0
+                ? Math.round((row.approved / row.decided) * 1000) / 10
+                : null,
+          })),
+        });
+      } catch (err) {
+        sendAnalyticsError(res, err);
+      }
+    }
+  );
+
+  // Average time from request to approval
+  router.get(
+    "/analytics/approval-time",
+    verifyToken,
+    verifyHR,
+    requireCapability(CAPABILITIES.ADVANCED_ANALYTICS),
+    async (req, res) => {
+      try {
+        const [stats] = await req.tenant
+          .collection("requests")
+          .aggregate([
+            {
+              $match: {
+                requestStatus: { $in: APPROVED },
+                approvalDate: { $type: "date" },
+                requestDate: { $type: "date" },
+              },
+            },
+            {
+              $project: {
+                waitMs: { $subtract: ["$approvalDate", "$requestDate"] },
+              },
+            },
+            {
+              $group: {
+                _id: null,
+                approvals: { $sum: 1 },
+                averageMs: { $avg: "$waitMs" },
+                fastestMs: { $min: "$waitMs" },
+                slowestMs: { $max: "$waitMs" },
+              },
+            },
+          ])
+          .toArray();
+
+        const hours = (ms) =>
+          ms === undefined ? null : Math.round((ms / 36e5) * 10) / 10;
+        res.json({
+          approvals: stats ? stats.approvals : 0,
+          averageHours: hours(stats?.averageMs),
+          fastestHours: hours(stats?.fastestMs),
+          slowestHours: hours(stats?.slowestMs),
+        });
+      } catch (err) {
+        sendAnalyticsError(res, err);
+      }
+    }
+  );
+
+  // Assets currently out, per employee
+  router.get(
+    "/analytics/assets-per-employee",
+    verifyToken,
+    verifyHR,
+    requireCapability(CAPABILITIES.ADVANCED_ANALYTICS),
+    async (req, res) => {
+      try {
+        const rows = await req.tenant
+          .collection("assignedAssets")
+          .aggregate([
+            { $match: { status: { $in: HELD_STATUSES } } },
+            {
+              $group: {
+                _id: "$employeeEmail",
+                employeeName: { $last: "$employeeName" },
+                assets: { $sum: 1 },
+                returnable: {
+                  $sum: {
+                    $cond: [{ $eq: ["$assetType", "Returnable"] }, 1, 0],
+                  },
+                },
+              },
+            },
+            { $sort: { assets: -1, _id: 1 } },
+            {
+              $project: {
+                _id: 0,
+                employeeEmail: "$_id",
+                employeeName: 1,
+                assets: 1,
+                returnable: 1,
+              },
+            },
+          ])
+          .toArray();
+        res.json({ employees: rows });
+      } catch (err) {
+        sendAnalyticsError(res, err);
+      }
+    }
+  );
+
+  // Share of each asset's units that are out with employees, plus the
+  // company total. Damaged units count towards the total but not as in use.
+  router.get(
+    "/analytics/stock-utilization",
+    verifyToken,
+    verifyHR,
+    requireCapability(CAPABILITIES.ADVANCED_ANALYTICS),
+    async (req, res) => {
+      try {
+        const rows = await req.tenant
+          .collection("assets")
+          .aggregate([
+            {
+              $lookup: {
+                from: "assetUnits",
+                let: { assetId: "$_id" },
+                pipeline: [
+                  {
+                    $match: {
+                      $expr: {
+                        $and: [
+                          { $eq: ["$assetId", "$$assetId"] },
+                          { $eq: ["$status", "assigned"] },
+                        ],
+                      },
+                    },
+                  },
+                  { $count: "count" },
+                ],
+                as: "assigned",
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                assetId: "$_id",
+                productName: 1,
+                productType: 1,
+                total: "$productQuantity",
+                available: "$availableQuantity",
+                inUse: {
+                  $ifNull: [{ $arrayElemAt: ["$assigned.count", 0] }, 0],
+                },
+              },
+            },
+            { $sort: { productName: 1 } },
+          ])
+          .toArray();
+
+        const percent = (part, whole) =>
+          whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+        const totals = rows.reduce(
+          (sum, row) => ({
+            total: sum.total + (row.total || 0),
+            inUse: sum.inUse + (row.inUse || 0),
+          }),
+          { total: 0, inUse: 0 }
+        );
+
+        res.json({
+          assets: rows.map((row) => ({
+            ...row,
+            utilization: percent(row.inUse, row.total),
+          })),
+          overall: {
+            ...totals,
+            utilization: percent(totals.inUse, totals.total),
+          },
+        });
+      } catch (err) {
+        sendAnalyticsError(res, err);
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createAnalyticsRouter };
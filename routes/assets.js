@@ -0,0 +1,543 @@
+const express = require("express");
+const {
+  ASSET_TYPES,
+  UNIT_CONDITIONS,
+  UNIT_STATUSES,
+} = require("../assetUnits");
+const { HOLDING_STATUSES } = require("../bookings");
+const { HttpError, sendError } = require("../errors");
+const { parseListQuery, runListQuery } = require("../listQuery");
+const { OPEN_LINE_STATUSES, OPEN_STATUSES } = require("../requestLines");
+const { validate, idParam } = require("../validate");
+
+function createAssetsRouter(ctx) {
+  const {
+    client,
+    clock,
+    verifyToken,
+    verifyHR,
+    audit,
+    buildUnits,
+    syncAssetQuantities,
+    removeImage,
+    stockStatusFilters,
+    releaseWaitlist,
+  } = ctx;
+  const router = express.Router();
+
+  // ------------------ ASSETS ------------------
+
+  const UNIT_FIELDS = {
+    serialNumber: { type: "string", max: 100, nullable: true },
+    assetTag: { type: "string", max: 100 },
+    condition: { type: "string", enum: UNIT_CONDITIONS },
+    location: { type: "string", max: 200 },
+  };
+  const UNIT_SPECS = {
+    type: "array",
+    max: 1000,
+    items: { type: "object", fields: UNIT_FIELDS },
+  };
+
+  // Accept either an explicit `units` array or a plain count
+  function unitSpecsFrom(body, countField) {
+    if (Array.isArray(body.units)) return body.units;
+    const count = Number(body[countField] || 0);
+    if (!Number.isInteger(count) || count < 0 || count > 1000)
+      throw new HttpError(400, `${countField} must be between 0 and 1000`);
+    return Array.from({ length: count }, () => ({}));
+  }
+
+  function sendUnitError(res, err, fallback) {
+    if (err instanceof HttpError)
+      return sendError(res, err.status, err.message, err);
+    if (err.code === 11000)
+      return sendError(res, 400, "Duplicate SKU, serial number or asset tag");
+    console.error(`${fallback}:`, err);
+    sendError(res, 500, fallback);
+  }
+
+  const ASSET_LIST = {
+    search: ["productName", "sku"],
+    filters: {
+      productType: { values: ASSET_TYPES },
+    },
+    stockStatus: stockStatusFilters,
+    dateField: "dateAdded",
+    sortable: {
+      productName: "productName",
+      dateAdded: "dateAdded",
+      availableQuantity: "availableQuantity",
+      productQuantity: "productQuantity",
+    },
+    defaultSort: "-dateAdded",
+  };
+
+  router.get("/assets", verifyToken, async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, ASSET_LIST);
+      const { items, ...pageInfo } = await runListQuery(
+        req.tenant.collection("assets"),
+        {},
+        list
+      );
+      res.json({ success: true, assets: items, ...pageInfo });
+    } catch (err) {
+      if (err instanceof HttpError)
+        return sendError(res, err.status, err.message, err);
+      console.error("get assets err:", err);
+      sendError(res, 500, "Failed to load assets");
+    }
+  });
+
+  router.get(
+    "/assets/:id",
+    verifyToken,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const asset = await req.tenant
+          .collection("assets")
+          .findOne({ _id: req.params.id });
+        if (!asset) return sendError(res, 404, "Asset not found");
+        res.json({ success: true, asset });
+      } catch (err) {
+        console.error("get asset err:", err);
+        sendError(res, 500, "Failed to load asset");
+      }
+    }
+  );
+
+  // HR only: add asset together with its units
+  const ASSET_FIELDS = {
+    productName: { type: "string", max: 200 },
+    productImage: { type: "string", max: 2000 },
+    productType: { type: "string", enum: ASSET_TYPES },
+    // the company's own stock-keeping code, unique within the company
+    sku: { type: "string", max: 100, nullable: true },
+    // low stock at or below this many available units; null uses the
+    // server default
+    reorderLevel: { type: "integer", min: 0, max: 100000, nullable: true },
+  };
+
+  const NEW_ASSET_BODY = {
+    ...ASSET_FIELDS,
+    productName: { ...ASSET_FIELDS.productName, required: true },
+    productType: { ...ASSET_FIELDS.productType, required: true },
+    productQuantity: { type: "integer", min: 0, max: 1000 },
+    units: UNIT_SPECS,
+  };
+
+  router.post(
+    "/assets",
+    verifyToken,
+    verifyHR,
+    validate({ body: NEW_ASSET_BODY }),
+    async (req, res) => {
+      const session = client.startSession();
+      try {
+        const { units, ...asset } = req.body;
+        const specs = unitSpecsFrom(req.body, "productQuantity");
+
+        asset.dateAdded = clock.now();
+        asset.hrEmail = req.currentUser.email;
+        asset.companyName = req.currentUser.companyName;
+        asset.companyId = req.tenant.companyId;
+        asset.productQuantity = 0;
+        asset.availableQuantity = 0;
+
+        let insertedId;
+        await session.withTransaction(async () => {
+          const result = await req.tenant
+            .collection("assets")
+            .insertOne({ ...asset }, { session });
+          insertedId = result.insertedId;
+
+          const docs = await buildUnits(
+            { _id: insertedId, companyId: asset.companyId },
+            specs,
+            session
+          );
+          if (docs.length > 0)
+            await req.tenant
+              .collection("assetUnits")
+              .insertMany(docs, { session });
+          await syncAssetQuantities(insertedId, session);
+        });
+
+        await audit(req, {
+          action: "asset.created",
+          entityType: "asset",
+          entityId: insertedId,
+          after: { ...asset, units: specs.length },
+        });
+
+        res.send({ success: true, insertedId, unitsCreated: specs.length });
+      } catch (err) {
+        sendUnitError(res, err, "Failed to add asset");
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Quantities are derived from units, and ownership fields never change,
+  // so only the descriptive fields can be edited. PUT and PATCH both change
+  // just the fields sent.
+  const updateAsset = [
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam, body: ASSET_FIELDS }),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const updatedData = req.body;
+        if (Object.keys(updatedData).length === 0)
+          return sendError(res, 400, "Nothing to update");
+
+        const tenantAssets = req.tenant.collection("assets");
+        const before = await tenantAssets.findOne({ _id: id });
+        if (!before) {
+          return sendError(res, 404, "Asset not found");
+        }
+
+        // a new productImage URL replaces an uploaded image
+        const replacesUpload =
+          before.image &&
+          updatedData.productImage !== undefined &&
+          updatedData.productImage !== before.productImage;
+        await tenantAssets.updateOne(
+          { _id: before._id },
+          replacesUpload
+            ? {
+                $set: updatedData,
+                $unset: { image: "", productThumbnail: "" },
+              }
+            : { $set: updatedData }
+        );
+        if (replacesUpload) await removeImage(before.image);
+
+        await audit(req, {
+          action: "asset.updated",
+          entityType: "asset",
+          entityId: before._id,
+          before,
+          after: await tenantAssets.findOne({ _id: before._id }),
+        });
+
+        res.json({ success: true });
+      } catch (err) {
+        sendUnitError(res, err, "Update failed");
+      }
+    },
+  ];
+  router.put("/assets/:id", ...updateAsset);
+  router.patch("/assets/:id", ...updateAsset);
+
+  // HR only: delete asset
+  router.delete(
+    "/assets/:id",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const tenantUnits = req.tenant.collection("assetUnits");
+
+        const assignedCount = await tenantUnits.countDocuments({
+          assetId: id,
+          status: "assigned",
+        });
+        if (assignedCount > 0)
+          return sendError(res, 400, "Asset has units assigned to employees");
+
+        // requests and bookings still waiting on the asset keep it
+        const openRequests = await req.tenant
+          .collection("requests")
+          .countDocuments({
+            requestStatus: { $in: OPEN_STATUSES },
+            items: {
+              $elemMatch: {
+                assetId: id.toString(),
+                status: { $in: OPEN_LINE_STATUSES },
+              },
+            },
+          });
+        if (openRequests > 0)
+          return sendError(
+            res,
+            409,
+            "Asset has pending or waitlisted requests; decide them first"
+          );
+        const heldBookings = await req.tenant
+          .collection("bookings")
+          .countDocuments({ assetId: id, status: { $in: HOLDING_STATUSES } });
+        if (heldBookings > 0)
+          return sendError(
+            res,
+            409,
+            "Asset has approved bookings; reject or cancel them first"
+          );
+
+        const tenantAssets = req.tenant.collection("assets");
+        const before = await tenantAssets.findOne({ _id: id });
+        const result = await tenantAssets.deleteOne({ _id: id });
+
+        if (result.deletedCount === 0) {
+          return sendError(res, 404, "Asset not found");
+        }
+
+        await tenantUnits.deleteMany({ assetId: id });
+        await removeImage(before.image);
+
+        await audit(req, {
+          action: "asset.deleted",
+          entityType: "asset",
+          entityId: before._id,
+          before,
+        });
+
+        res.json({ success: true });
+      } catch (err) {
+        console.error("delete asset err:", err);
+        sendError(res, 500, "Delete failed");
+      }
+    }
+  );
+
+  // HR: list the units of an asset
+  router.get(
+    "/assets/:id/units",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const units = await req.tenant
+          .collection("assetUnits")
+          .find({ assetId: req.params.id })
+          .sort({ assetTag: 1 })
+          .toArray();
+        res.json({ units });
+      } catch (err) {
+        console.error("get units err:", err);
+        sendError(res, 500, "Failed to load units");
+      }
+    }
+  );
+
+  // HR: add units to an existing asset
+  router.post(
+    "/assets/:id/units",
+    verifyToken,
+    verifyHR,
+    validate({
+      params: idParam,
+      body: {
+        count: { type: "integer", min: 0, max: 1000 },
+        units: UNIT_SPECS,
+      },
+    }),
+    async (req, res) => {
+      const session = client.startSession();
+      try {
+        const specs = unitSpecsFrom(req.body, "count");
+        if (specs.length === 0) return sendError(res, 400, "No units to add");
+
+        await session.withTransaction(async () => {
+          const asset = await req.tenant
+            .collection("assets")
+            .findOne({ _id: req.params.id }, { session });
+          if (!asset) throw new HttpError(404, "Asset not found");
+
+          const docs = await buildUnits(asset, specs, session);
+          await req.tenant
+            .collection("assetUnits")
+            .insertMany(docs, { session });
+          await syncAssetQuantities(asset._id, session);
+        });
+
+        await audit(req, {
+          action: "asset.units_added",
+          entityType: "asset",
+          entityId: req.params.id,
+          after: { unitsCreated: specs.length },
+        });
+        await releaseWaitlist(req.tenant, req.params.id);
+
+        res.json({ success: true, unitsCreated: specs.length });
+      } catch (err) {
+        sendUnitError(res, err, "Failed to add units");
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // ------------------ RESTOCKS ------------------
+  // HR: record a purchase batch. Its units are created like any others and
+  // remember the batch they came in; waitlisted requests for the asset go
+  // back to HR once they fit.
+  router.post(
+    "/assets/:id/restock",
+    verifyToken,
+    verifyHR,
+    validate({
+      params: idParam,
+      body: {
+        quantity: { type: "integer", required: true, min: 1, max: 1000 },
+        unitCost: { type: "number", min: 0, nullable: true },
+        supplier: { type: "string", max: 200, default: "" },
+        reference: { type: "string", max: 100, default: "" },
+        purchasedAt: { type: "date" },
+        units: UNIT_SPECS,
+      },
+    }),
+    async (req, res) => {
+      const session = client.startSession();
+      try {
+        const { quantity, unitCost = null, supplier, reference } = req.body;
+        const specs =
+          req.body.units || Array.from({ length: quantity }, () => ({}));
+        if (specs.length !== quantity)
+          return sendError(res, 400, "Describe exactly one unit per item");
+
+        const now = clock.now();
+        let restock;
+        await session.withTransaction(async () => {
+          const asset = await req.tenant
+            .collection("assets")
+            .findOne({ _id: req.params.id }, { session });
+          if (!asset) throw new HttpError(404, "Asset not found");
+
+          restock = {
+            companyId: asset.companyId,
+            assetId: asset._id,
+            assetName: asset.productName,
+            quantity,
+            unitCost,
+            totalCost:
+              unitCost === null
+                ? null
+                : Math.round(unitCost * quantity * 100) / 100,
+            supplier,
+            reference,
+            purchasedAt: req.body.purchasedAt || now,
+            recordedBy: req.currentUser.email,
+            createdAt: now,
+          };
+          const { insertedId } = await req.tenant
+            .collection("restocks")
+            .insertOne(restock, { session });
+          restock._id = insertedId;
+
+          const docs = await buildUnits(asset, specs, session);
+          await req.tenant.collection("assetUnits").insertMany(
+            docs.map((doc) => ({ ...doc, restockId: insertedId })),
+            { session }
+          );
+          await syncAssetQuantities(asset._id, session);
+        });
+
+        await audit(req, {
+          action: "asset.restocked",
+          entityType: "asset",
+          entityId: restock.assetId,
+          after: restock,
+        });
+        await releaseWaitlist(req.tenant, restock.assetId);
+
+        res.json({
+          success: true,
+          restockId: restock._id,
+          unitsCreated: quantity,
+        });
+      } catch (err) {
+        sendUnitError(res, err, "Restock failed");
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // HR: an asset's purchase batches, newest first
+  router.get(
+    "/assets/:id/restocks",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const restocks = await req.tenant
+          .collection("restocks")
+          .find({ assetId: req.params.id })
+          .sort({ purchasedAt: -1, _id: -1 })
+          .toArray();
+        res.json({ restocks });
+      } catch (err) {
+        console.error("get restocks err:", err);
+        sendError(res, 500, "Failed to load restocks");
+      }
+    }
+  );
+
+  // HR: edit a unit's details, or retire / reinstate it
+  router.patch(
+    "/assets/:id/units/:unitId",
+    verifyToken,
+    verifyHR,
+    validate({
+      params: {
+        id: { type: "objectId", required: true },
+        unitId: { type: "objectId", required: true },
+      },
+      body: {
+        ...UNIT_FIELDS,
+        // "assigned" is only ever set by approving a request
+        status: {
+          type: "string",
+          enum: UNIT_STATUSES.filter((s) => s !== "assigned"),
+        },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const update = req.body;
+        if (Object.keys(update).length === 0)
+          return sendError(res, 400, "Nothing to update");
+
+        const assetId = req.params.id;
+        const filter = { _id: req.params.unitId, assetId };
+        // assignment state only changes through approval and return
+        if (update.status) filter.status = { $ne: "assigned" };
+
+        const tenantUnits = req.tenant.collection("assetUnits");
+        const before = await tenantUnits.findOne(filter);
+        if (!before)
+          return sendError(res, 404, "Unit not found or currently assigned");
+
+        await tenantUnits.updateOne({ _id: before._id }, { $set: update });
+        await syncAssetQuantities(assetId);
+        // a repaired or found unit can fill a waitlisted line
+        if (update.status === "available" && before.status !== "available")
+          await releaseWaitlist(req.tenant, assetId);
+
+        await audit(req, {
+          action: "asset_unit.updated",
+          entityType: "assetUnit",
+          entityId: before._id,
+          before,
+          after: { ...before, ...update },
+        });
+        res.json({ success: true });
+      } catch (err) {
+        sendUnitError(res, err, "Update unit failed");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createAssetsRouter };
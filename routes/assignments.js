@@ -0,0 +1,382 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { HELD_STATUSES, RETURN_CONDITIONS } = require("../assetUnits");
+const { HttpError, sendError } = require("../errors");
+const { requestEvent } = require("../events");
+const { parseListQuery, runListQuery } = require("../listQuery");
+const { writeHandoverReceiptPdf } = require("../pdf");
+const { APPROVED_STATUSES } = require("../requestLines");
+const { validate, idParam } = require("../validate");
+
+function createAssignmentsRouter(ctx) {
+  const {
+    db,
+    client,
+    clock,
+    verifyToken,
+    verifyHR,
+    audit,
+    publishEvent,
+    syncAssetQuantities,
+    releaseWaitlist,
+  } = ctx;
+  const assignedAssets = db.collection("assignedAssets");
+  const router = express.Router();
+
+  // Requests that can still be marked returned
+  const RETURNABLE_STATUSES = APPROVED_STATUSES.filter(
+    (status) => status !== "returned"
+  );
+
+  // The request behind an assignment, as seen by a return event
+  function returnEvent(type, assignment, extra = {}) {
+    return requestEvent(
+      type,
+      {
+        _id: assignment.requestId,
+        companyId: assignment.companyId,
+        assetId: assignment.assetId,
+        assetName: assignment.assetName,
+        requesterEmail: assignment.employeeEmail,
+        requestStatus: "approved",
+      },
+      { assignmentId: assignment._id, ...extra }
+    );
+  }
+
+  // ------------------ RETURN ASSET (Employee) ------------------
+  // GET assigned assets for logged-in user
+  router.get("/assignedAssets", verifyToken, async (req, res) => {
+    try {
+      const userEmail = req.currentUser.email;
+
+      const assigned = await assignedAssets
+        .find({ employeeEmail: userEmail })
+        .toArray();
+
+      res.json({ assignedAssets: assigned });
+    } catch (err) {
+      console.error("Fetch assigned assets error:", err);
+      sendError(res, 500, "Failed to fetch assigned assets");
+    }
+  });
+
+  // Start a return. The asset stays assigned until HR confirms receipt.
+  router.post(
+    "/assigned/:id/return",
+    verifyToken,
+    validate({
+      params: idParam,
+      body: { note: { type: "string", max: 500, default: "" } },
+    }),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const assignment = await assignedAssets.findOne({ _id: id });
+
+        if (!assignment) return sendError(res, 404, "Assigned asset not found");
+
+        if (assignment.employeeEmail !== req.currentUser.email)
+          return sendError(res, 403, "Not your assigned asset");
+
+        if (assignment.status === "return_pending")
+          return sendError(res, 400, "Return already requested");
+
+        if (assignment.status === "returned")
+          return sendError(res, 400, "Already returned");
+
+        const update = {
+          status: "return_pending",
+          returnRequestedAt: clock.now(),
+          returnNote: req.body.note,
+        };
+        const marked = await assignedAssets.updateOne(
+          { _id: id, status: "assigned" },
+          { $set: update }
+        );
+        if (marked.modifiedCount === 0)
+          return sendError(res, 400, "Asset is not assigned");
+
+        await audit(req, {
+          action: "assignment.return_requested",
+          entityType: "assignment",
+          entityId: assignment._id,
+          companyId: assignment.companyId,
+          before: { status: assignment.status },
+          after: update,
+        });
+        await publishEvent(returnEvent("return.requested", assignment));
+
+        res.json({
+          success: true,
+          message: "Return requested; HR will confirm receipt",
+        });
+      } catch (err) {
+        console.error("Return error:", err);
+        sendError(res, 500, "Return failed");
+      }
+    }
+  );
+
+  // ------------------ HANDOVER RECEIPTS ------------------
+  // Handover receipt as a PDF, for the employee who holds the asset or HR of
+  // the company that handed it over. It stays available after the return
+  // and after the employee leaves the company.
+  router.get(
+    "/assigned/:id/receipt",
+    verifyToken,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const user = req.currentUser;
+        const assignment = await assignedAssets.findOne({ _id: req.params.id });
+
+        const allowed =
+          assignment &&
+          (assignment.employeeEmail === user.email ||
+            (user.role === "hr" &&
+              user.companyId &&
+              user.companyId.equals(assignment.companyId)));
+        if (!allowed) return sendError(res, 404, "Assigned asset not found");
+
+        const number = assignment._id.toString().toUpperCase();
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="receipt-${number}.pdf"`
+        );
+        writeHandoverReceiptPdf(res, { ...assignment, number });
+      } catch (err) {
+        console.error("receipt pdf err:", err);
+        sendError(res, 500, "Failed to generate receipt");
+      }
+    }
+  );
+
+  // ------------------ RETURNS (HR) ------------------
+  const RETURN_LIST = {
+    search: ["assetName", "employeeName", "employeeEmail"],
+    sortable: {
+      requestedAt: "returnRequestedAt",
+      assetName: "assetName",
+      employeeName: "employeeName",
+    },
+    defaultSort: "requestedAt",
+  };
+
+  // HR: returns waiting for confirmation, oldest first
+  router.get("/hr/returns", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, RETURN_LIST);
+      const { items, ...pageInfo } = await runListQuery(
+        req.tenant.collection("assignedAssets"),
+        { status: "return_pending" },
+        list
+      );
+      res.json({ returns: items, ...pageInfo });
+    } catch (err) {
+      if (err instanceof HttpError)
+        return sendError(res, err.status, err.message, err);
+      console.error("get returns err:", err);
+      sendError(res, 500, "Failed to load returns");
+    }
+  });
+
+  // HR: confirm receipt of a returned asset. A unit in good condition goes
+  // back into stock; a damaged or lost one is kept out of stock and an
+  // incident is recorded instead.
+  router.post(
+    "/assigned/:id/confirm-return",
+    verifyToken,
+    verifyHR,
+    validate({
+      params: idParam,
+      body: {
+        condition: { type: "string", required: true, enum: RETURN_CONDITIONS },
+        notes: { type: "string", max: 1000, default: "" },
+      },
+    }),
+    async (req, res) => {
+      const session = client.startSession();
+      try {
+        const { condition, notes } = req.body;
+        const hr = req.currentUser;
+        const tenantAssigned = req.tenant.collection("assignedAssets");
+
+        let assignment;
+        let incidentId = null;
+        await session.withTransaction(async () => {
+          incidentId = null;
+          assignment = await tenantAssigned.findOne(
+            { _id: req.params.id },
+            { session }
+          );
+          if (!assignment) throw new HttpError(404, "Assigned asset not found");
+          if (assignment.status !== "return_pending")
+            throw new HttpError(400, "No return pending for this asset");
+
+          const now = clock.now();
+          await tenantAssigned.updateOne(
+            { _id: assignment._id, status: "return_pending" },
+            {
+              $set: {
+                status: "returned",
+                returnDate: now,
+                returnCondition: condition,
+                returnNotes: notes,
+                receivedBy: hr.email,
+              },
+            },
+            { session }
+          );
+
+          // Only a returnable asset's unit comes back into play
+          const assetId = new ObjectId(assignment.assetId);
+          if (assignment.assetType === "Returnable") {
+            const unitFilter = assignment.unitId
+              ? { _id: assignment.unitId }
+              : {
+                  assetId,
+                  status: "assigned",
+                  assignedTo: assignment.employeeEmail,
+                };
+            const unitUpdate = {
+              status: condition === "good" ? "available" : condition,
+              assignedTo: null,
+            };
+            if (condition !== "lost") unitUpdate.condition = condition;
+            await req.tenant
+              .collection("assetUnits")
+              .updateOne(unitFilter, { $set: unitUpdate }, { session });
+            await syncAssetQuantities(assetId, session);
+          }
+
+          if (condition !== "good") {
+            const incident = await req.tenant.collection("incidents").insertOne(
+              {
+                companyId: assignment.companyId,
+                type: condition,
+                assetId,
+                assetName: assignment.assetName,
+                unitId: assignment.unitId || null,
+                assetTag: assignment.assetTag || null,
+                assignmentId: assignment._id,
+                employeeEmail: assignment.employeeEmail,
+                employeeName: assignment.employeeName,
+                notes,
+                reportedBy: hr.email,
+                createdAt: now,
+              },
+              { session }
+            );
+            incidentId = incident.insertedId;
+          }
+
+          // A booking or request is returned once every unit it handed out
+          // is back
+          if (assignment.bookingId) {
+            const stillHeld = await tenantAssigned.countDocuments(
+              {
+                bookingId: assignment.bookingId,
+                status: { $in: HELD_STATUSES },
+              },
+              { session }
+            );
+            if (stillHeld === 0)
+              await req.tenant
+                .collection("bookings")
+                .updateOne(
+                  { _id: assignment.bookingId, status: "active" },
+                  { $set: { status: "completed", returnDate: now } },
+                  { session }
+                );
+          } else {
+            const stillHeld = assignment.requestId
+              ? await tenantAssigned.countDocuments(
+                  {
+                    requestId: assignment.requestId,
+                    status: { $in: HELD_STATUSES },
+                  },
+                  { session }
+                )
+              : 0;
+            if (stillHeld === 0)
+              await req.tenant.collection("requests").updateOne(
+                assignment.requestId
+                  ? {
+                      _id: assignment.requestId,
+                      requestStatus: { $in: RETURNABLE_STATUSES },
+                    }
+                  : {
+                      assetId: assignment.assetId,
+                      requesterEmail: assignment.employeeEmail,
+                      requestStatus: "approved",
+                    },
+                { $set: { requestStatus: "returned", returnDate: now } },
+                { session }
+              );
+          }
+        });
+
+        await audit(req, {
+          action: "assignment.returned",
+          entityType: "assignment",
+          entityId: assignment._id,
+          before: { status: assignment.status },
+          after: { status: "returned", condition, notes, incidentId },
+        });
+        await publishEvent(
+          returnEvent("request.returned", assignment, {
+            requestStatus: "returned",
+            condition,
+          })
+        );
+        if (condition === "good" && assignment.assetType === "Returnable")
+          await releaseWaitlist(req.tenant, new ObjectId(assignment.assetId));
+
+        res.json({ success: true, condition, incidentId });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return sendError(res, err.status, err.message, err);
+        console.error("Confirm return error:", err);
+        sendError(res, 500, "Confirm return failed");
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // ------------------ INCIDENTS (HR) ------------------
+  const INCIDENT_LIST = {
+    search: ["assetName", "assetTag", "employeeName", "employeeEmail"],
+    filters: {
+      type: { values: RETURN_CONDITIONS.filter((c) => c !== "good") },
+    },
+    dateField: "createdAt",
+    sortable: { createdAt: "createdAt", assetName: "assetName" },
+    defaultSort: "-createdAt",
+  };
+
+  // HR: damaged and lost returns
+  router.get("/incidents", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, INCIDENT_LIST);
+      const { items, ...pageInfo } = await runListQuery(
+        req.tenant.collection("incidents"),
+        {},
+        list
+      );
+      res.json({ incidents: items, ...pageInfo });
+    } catch (err) {
+      if (err instanceof HttpError)
+        return sendError(res, err.status, err.message, err);
+      console.error("get incidents err:", err);
+      sendError(res, 500, "Failed to load incidents");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAssignmentsRouter };
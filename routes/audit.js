@@ -0,0 +1,64 @@
+const express = require("express");
+const { sendError } = require("../errors");
+const { validate } = require("../validate");
+
+function createAuditRouter(ctx) {
+  const { db, verifyToken, verifyHR } = ctx;
+  const auditLog = db.collection("auditLog");
+  const router = express.Router();
+
+  // ------------------ AUDIT LOG ------------------
+  // Read-only: there is deliberately no route that updates or deletes
+  // audit entries.
+  const AUDIT_QUERY = {
+    actor: { type: "string" },
+    entityType: { type: "string" },
+    entityId: { type: "string" },
+    action: { type: "string" },
+    from: { type: "date" },
+    to: { type: "date" },
+    limit: { type: "integer", min: 1, max: 200, default: 50 },
+    page: { type: "integer", min: 1, default: 1 },
+  };
+
+  router.get(
+    "/audit",
+    verifyToken,
+    verifyHR,
+    validate({ query: AUDIT_QUERY }),
+    async (req, res) => {
+      try {
+        const { actor, entityType, entityId, action, from, to, limit, page } =
+          req.query;
+        const filter = { companyId: req.tenant.companyId };
+        if (actor) filter["actor.email"] = actor;
+        if (entityType) filter.entityType = entityType;
+        if (entityId) filter.entityId = entityId;
+        if (action) filter.action = action;
+        if (from || to) {
+          filter.at = {};
+          if (from) filter.at.$gte = from;
+          if (to) filter.at.$lte = to;
+        }
+
+        const [entries, total] = await Promise.all([
+          auditLog
+            .find(filter)
+            .sort({ at: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray(),
+          auditLog.countDocuments(filter),
+        ]);
+        res.json({ entries, total, page, limit });
+      } catch (err) {
+        console.error("audit fetch err:", err);
+        sendError(res, 500, "Fetch failed");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,633 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { DAY_MS } = require("../config");
+const { BASIC_PACKAGE } = require("../entitlements");
+const { HttpError, sendError } = require("../errors");
+const { escapeHtml } = require("../mailer");
+const { validate } = require("../validate");
+
+// refresh and one-time tokens are only ever stored as hashes
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function createAuthRouter(ctx) {
+  const {
+    db,
+    clock,
+    config,
+    firebaseAdmin,
+    sendMail,
+    verifyToken,
+    loadEntitlements,
+  } = ctx;
+  const users = db.collection("users");
+  const packages = db.collection("packages");
+  const companies = db.collection("companies");
+  const sessions = db.collection("sessions");
+  const refreshTokens = db.collection("refreshTokens");
+  const authTokens = db.collection("authTokens");
+  const router = express.Router();
+
+  // ------------------ AUTH (Register / Login) ------------------
+
+  // token create: short-lived access token bound to a login session
+  function createToken(user, sessionId) {
+    const payload = {
+      id: user._id ? user._id.toString() : user.id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId.toString(),
+      iat: Math.floor(clock.now().getTime() / 1000),
+    };
+    return jwt.sign(payload, config.jwtSecret, {
+      expiresIn: config.accessTokenTtl,
+      algorithm: "HS256",
+    });
+  }
+
+  // Verify a Firebase ID token with the injected firebase-admin app, which
+  // may point at the Auth emulator (FIREBASE_AUTH_EMULATOR_HOST)
+  async function verifyFirebaseToken(idToken) {
+    if (!firebaseAdmin) throw new HttpError(500, "Firebase is not configured");
+    try {
+      return await firebaseAdmin.auth().verifyIdToken(idToken);
+    } catch (err) {
+      throw new HttpError(401, "Invalid Firebase ID token");
+    }
+  }
+
+  // Fill in the company side of a new account. An HR gets a fresh
+  // company; employees join companies later through an invitation or a
+  // join code.
+  async function applyRoleFields(newUser, { companyName, companyLogo }) {
+    if (newUser.role === "hr") {
+      const company = await companies.insertOne({
+        name: companyName || "Company",
+        logo: companyLogo || "",
+        ownerEmail: newUser.email,
+        createdAt: clock.now(),
+      });
+      newUser.companyId = company.insertedId;
+      newUser.companyName = companyName || "Company";
+      newUser.companyLogo = companyLogo || "";
+      const basic = await packages.findOne({ name: BASIC_PACKAGE });
+      newUser.packageId = basic ? basic._id : null;
+      newUser.currentEmployees = 0;
+      newUser.subscription = BASIC_PACKAGE;
+    }
+  }
+
+  // Every login opens a session; its refresh tokens rotate on each use and
+  // all of them die together when the session is revoked.
+  async function issueTokens(user, sessionId, expiresAt) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    await refreshTokens.insertOne({
+      tokenHash: hashToken(refreshToken),
+      sessionId,
+      userId: user._id,
+      createdAt: clock.now(),
+      expiresAt,
+      usedAt: null,
+    });
+    return { token: createToken(user, sessionId), refreshToken };
+  }
+
+  async function startSession(user, req) {
+    const now = clock.now();
+    const expiresAt = new Date(
+      now.getTime() + config.refreshTokenTtlDays * DAY_MS
+    );
+    const result = await sessions.insertOne({
+      userId: user._id,
+      email: user.email,
+      userAgent: req.headers["user-agent"] || "",
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt,
+      revokedAt: null,
+    });
+    return issueTokens(user, result.insertedId, expiresAt);
+  }
+
+  // Single-use, expiring tokens for password reset and email verification.
+  // Only the hash is stored; the raw token only ever travels by email.
+  const AUTH_TOKEN_TTL = {
+    password_reset: 60 * 60 * 1000,
+    email_verification: 2 * DAY_MS,
+  };
+
+  async function createAuthToken(user, type) {
+    // a new token supersedes any outstanding one of the same type
+    await authTokens.deleteMany({ userId: user._id, type, usedAt: null });
+    const token = crypto.randomBytes(32).toString("base64url");
+    await authTokens.insertOne({
+      userId: user._id,
+      type,
+      tokenHash: hashToken(token),
+      createdAt: clock.now(),
+      expiresAt: new Date(clock.now().getTime() + AUTH_TOKEN_TTL[type]),
+      usedAt: null,
+    });
+    return token;
+  }
+
+  // Mark a token used and return it, or null if unknown, expired or spent
+  async function consumeAuthToken(token, type) {
+    return authTokens.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        type,
+        usedAt: null,
+        expiresAt: { $gt: clock.now() },
+      },
+      { $set: { usedAt: clock.now() } }
+    );
+  }
+
+  async function sendVerificationEmail(user) {
+    if (user.emailVerified) return;
+    const token = await createAuthToken(user, "email_verification");
+    const link = `${config.clientUrl}/verify-email?token=${token}`;
+    const name = escapeHtml(user.name);
+    const href = escapeHtml(link);
+    await sendMail({
+      to: user.email,
+      subject: "Verify your AssetVerse email",
+      text: `Hi ${user.name},\n\nConfirm your email address: ${link}\n`,
+      html: `<p>Hi ${name},</p><p><a href="${href}">Confirm your email address</a></p>`,
+    });
+  }
+
+  async function revokeSessions(filter, reason) {
+    const result = await sessions.updateMany(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: clock.now(), revokeReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  // passwords are compared byte for byte, so they are never trimmed
+  const PASSWORD = { type: "string", trim: false, min: 6, max: 128 };
+  const COMPANY_FIELDS = {
+    companyName: { type: "string", max: 200 },
+    companyLogo: { type: "string", max: 2000 },
+  };
+
+  const REGISTER_BODY = {
+    name: { type: "string", required: true, max: 100 },
+    email: { type: "email", required: true, max: 254 },
+    password: { ...PASSWORD, required: true },
+    dateOfBirth: { type: "date", nullable: true },
+    role: { type: "string", required: true, enum: ["hr", "employee"] },
+    ...COMPANY_FIELDS,
+  };
+
+  router.post(
+    "/auth/register",
+    validate({ body: REGISTER_BODY }),
+    async (req, res) => {
+      try {
+        const {
+          name,
+          email,
+          password,
+          dateOfBirth,
+          role,
+          companyName,
+          companyLogo,
+        } = req.body;
+
+        const existing = await users.findOne({ email });
+        if (existing) return sendError(res, 400, "User already exists");
+
+        const salt = await bcrypt.genSalt(10);
+        const hashed = await bcrypt.hash(password, salt);
+
+        const newUser = {
+          name,
+          email,
+          password: hashed,
+          dateOfBirth: dateOfBirth || null,
+          role,
+          profileImage: "",
+          emailVerified: false,
+          createdAt: clock.now(),
+          updatedAt: clock.now(),
+        };
+
+        await applyRoleFields(newUser, { companyName, companyLogo });
+
+        const result = await users.insertOne(newUser);
+        const insertedUser = await users.findOne({ _id: result.insertedId });
+        const { token, refreshToken } = await startSession(insertedUser, req);
+        await sendVerificationEmail(insertedUser);
+
+        return res.json({
+          success: true,
+          token,
+          refreshToken,
+          user: {
+            email: insertedUser.email,
+            name: insertedUser.name,
+            role: insertedUser.role,
+          },
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return sendError(res, err.status, err.message, err);
+        console.error("register err:", err);
+        sendError(res, 500, "Registration failed");
+      }
+    }
+  );
+
+  // Login
+  router.post(
+    "/auth/login",
+    validate({
+      body: {
+        email: { type: "string", required: true },
+        password: { type: "string", trim: false, required: true },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const { email, password } = req.body;
+
+        const user = await users.findOne({ email });
+        if (!user) return sendError(res, 400, "Invalid credentials");
+        if (!user.password)
+          return sendError(res, 400, "This account signs in with Google");
+
+        const match = await bcrypt.compare(password, user.password);
+        if (!match) return sendError(res, 400, "Invalid credentials");
+
+        const { token, refreshToken } = await startSession(user, req);
+        // return tokens and basic user info
+        return res.json({
+          success: true,
+          token,
+          refreshToken,
+          user: { email: user.email, name: user.name, role: user.role },
+        });
+      } catch (err) {
+        console.error("login err:", err);
+        sendError(res, 500, "Login failed");
+      }
+    }
+  );
+
+  // Sign in with a Firebase ID token (Google login). First-time users get
+  // `needsRole` back and call again with a role; an email that already has
+  // a password account must be linked through /auth/firebase/link first.
+  const FIREBASE_BODY = {
+    idToken: { type: "string", required: true },
+    role: { type: "string", enum: ["hr", "employee"] },
+    ...COMPANY_FIELDS,
+  };
+
+  router.post(
+    "/auth/firebase",
+    validate({ body: FIREBASE_BODY }),
+    async (req, res) => {
+      try {
+        const { idToken, role, companyName, companyLogo } = req.body;
+
+        const decoded = await verifyFirebaseToken(idToken);
+
+        let user = await users.findOne({ firebaseUid: decoded.uid });
+
+        if (!user) {
+          const existing = decoded.email
+            ? await users.findOne({ email: decoded.email })
+            : null;
+          if (existing)
+            return sendError(
+              res,
+              409,
+              "An account with this email already exists",
+              { code: "link_required" }
+            );
+
+          const profile = {
+            email: decoded.email,
+            name: decoded.name || decoded.email,
+            photo: decoded.picture || "",
+          };
+          if (!role)
+            return res.json({ success: true, needsRole: true, profile });
+          if (!decoded.email)
+            return sendError(res, 400, "Firebase account has no email");
+
+          const newUser = {
+            name: profile.name,
+            email: profile.email,
+            password: null,
+            firebaseUid: decoded.uid,
+            authProvider: decoded.firebase?.sign_in_provider || "firebase",
+            dateOfBirth: null,
+            role,
+            profileImage: profile.photo,
+            emailVerified: decoded.email_verified === true,
+            createdAt: clock.now(),
+            updatedAt: clock.now(),
+          };
+
+          await applyRoleFields(newUser, { companyName, companyLogo });
+
+          const result = await users.insertOne(newUser);
+          user = await users.findOne({ _id: result.insertedId });
+        }
+
+        const { token, refreshToken } = await startSession(user, req);
+        return res.json({
+          success: true,
+          token,
+          refreshToken,
+          user: { email: user.email, name: user.name, role: user.role },
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return sendError(res, err.status, err.message, err);
+        console.error("firebase login err:", err);
+        sendError(res, 500, "Firebase login failed");
+      }
+    }
+  );
+
+  // Link the caller's password account to a Firebase account
+  router.post(
+    "/auth/firebase/link",
+    verifyToken,
+    validate({ body: { idToken: { type: "string", required: true } } }),
+    async (req, res) => {
+      try {
+        const { idToken } = req.body;
+
+        const decoded = await verifyFirebaseToken(idToken);
+        if (decoded.email !== req.currentUser.email)
+          return sendError(res, 400, "Firebase account email does not match");
+
+        const taken = await users.findOne({
+          firebaseUid: decoded.uid,
+          _id: { $ne: req.currentUser._id },
+        });
+        if (taken)
+          return sendError(
+            res,
+            409,
+            "Firebase account already linked to another user"
+          );
+
+        await users.updateOne(
+          { _id: req.currentUser._id },
+          { $set: { firebaseUid: decoded.uid, updatedAt: clock.now() } }
+        );
+        res.json({ success: true });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return sendError(res, err.status, err.message, err);
+        console.error("firebase link err:", err);
+        sendError(res, 500, "Link failed");
+      }
+    }
+  );
+
+  // Email a password reset link. Always answers the same way so the
+  // endpoint cannot be used to probe which emails have accounts.
+  router.post(
+    "/auth/forgot-password",
+    validate({ body: { email: { type: "email", required: true } } }),
+    async (req, res) => {
+      try {
+        const { email } = req.body;
+
+        const user = await users.findOne({ email });
+        if (user) {
+          const token = await createAuthToken(user, "password_reset");
+          const link = `${config.clientUrl}/reset-password?token=${token}`;
+          const name = escapeHtml(user.name);
+          const href = escapeHtml(link);
+          await sendMail({
+            to: user.email,
+            subject: "Reset your AssetVerse password",
+            text: `Hi ${user.name},\n\nReset your password within the next hour: ${link}\n\nIf you did not ask for this, ignore this email.\n`,
+            html: `<p>Hi ${name},</p><p><a href="${href}">Reset your password</a> within the next hour.</p><p>If you did not ask for this, ignore this email.</p>`,
+          });
+        }
+
+        res.json({
+          success: true,
+          message: "If that email has an account, a reset link is on its way",
+        });
+      } catch (err) {
+        console.error("forgot password err:", err);
+        sendError(res, 500, "Request failed");
+      }
+    }
+  );
+
+  // Set a new password with a reset token; signs out every session
+  router.post(
+    "/auth/reset-password",
+    validate({
+      body: {
+        token: { type: "string", required: true },
+        password: { ...PASSWORD, required: true },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const { token, password } = req.body;
+
+        const stored = await consumeAuthToken(token, "password_reset");
+        if (!stored) return sendError(res, 400, "Invalid or expired token");
+
+        const salt = await bcrypt.genSalt(10);
+        const hashed = await bcrypt.hash(password, salt);
+        // the reset link proved ownership of the mailbox
+        await users.updateOne(
+          { _id: stored.userId },
+          {
+            $set: {
+              password: hashed,
+              emailVerified: true,
+              updatedAt: clock.now(),
+            },
+          }
+        );
+        await revokeSessions({ userId: stored.userId }, "password_reset");
+
+        res.json({ success: true, message: "Password updated" });
+      } catch (err) {
+        console.error("reset password err:", err);
+        sendError(res, 500, "Reset failed");
+      }
+    }
+  );
+
+  router.post(
+    "/auth/verify-email",
+    validate({ body: { token: { type: "string", required: true } } }),
+    async (req, res) => {
+      try {
+        const { token } = req.body;
+
+        const stored = await consumeAuthToken(token, "email_verification");
+        if (!stored) return sendError(res, 400, "Invalid or expired token");
+
+        await users.updateOne(
+          { _id: stored.userId },
+          {
+            $set: {
+              emailVerified: true,
+              emailVerifiedAt: clock.now(),
+              updatedAt: clock.now(),
+            },
+          }
+        );
+        res.json({ success: true, message: "Email verified" });
+      } catch (err) {
+        console.error("verify email err:", err);
+        sendError(res, 500, "Verification failed");
+      }
+    }
+  );
+
+  router.post("/auth/resend-verification", verifyToken, async (req, res) => {
+    try {
+      if (req.currentUser.emailVerified)
+        return sendError(res, 400, "Email already verified");
+      await sendVerificationEmail(req.currentUser);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("resend verification err:", err);
+      sendError(res, 500, "Request failed");
+    }
+  });
+
+  // Exchange a refresh token for a new token pair. A token that was
+  // already used means it leaked, so the whole session is revoked.
+  router.post(
+    "/auth/refresh",
+    validate({ body: { refreshToken: { type: "string", required: true } } }),
+    async (req, res) => {
+      try {
+        const { refreshToken } = req.body;
+
+        const stored = await refreshTokens.findOne({
+          tokenHash: hashToken(refreshToken),
+        });
+        if (!stored || stored.expiresAt < clock.now())
+          return sendError(res, 401, "Invalid refresh token");
+
+        const claimed = await refreshTokens.updateOne(
+          { _id: stored._id, usedAt: null },
+          { $set: { usedAt: clock.now() } }
+        );
+        if (claimed.modifiedCount === 0) {
+          await revokeSessions({ _id: stored.sessionId }, "refresh_reuse");
+          return sendError(res, 401, "Refresh token reuse detected");
+        }
+
+        const loginSession = await sessions.findOne({
+          _id: stored.sessionId,
+          revokedAt: null,
+        });
+        if (!loginSession) return sendError(res, 401, "Session revoked");
+
+        const user = await users.findOne({ _id: stored.userId });
+        if (!user) return sendError(res, 401, "User not found");
+
+        await sessions.updateOne(
+          { _id: loginSession._id },
+          { $set: { lastUsedAt: clock.now() } }
+        );
+        const tokens = await issueTokens(
+          user,
+          loginSession._id,
+          loginSession.expiresAt
+        );
+
+        res.json({ success: true, ...tokens });
+      } catch (err) {
+        console.error("refresh err:", err);
+        sendError(res, 500, "Refresh failed");
+      }
+    }
+  );
+
+  // Log out of the current session
+  router.post("/auth/logout", verifyToken, async (req, res) => {
+    try {
+      await revokeSessions({ _id: req.sessionId }, "logout");
+      res.json({ success: true });
+    } catch (err) {
+      console.error("logout err:", err);
+      sendError(res, 500, "Logout failed");
+    }
+  });
+
+  // Log out everywhere, e.g. after a token was stolen
+  router.post("/auth/logout-all", verifyToken, async (req, res) => {
+    try {
+      const revoked = await revokeSessions(
+        { userId: req.currentUser._id },
+        "logout_all"
+      );
+      res.json({ success: true, revoked });
+    } catch (err) {
+      console.error("logout-all err:", err);
+      sendError(res, 500, "Logout failed");
+    }
+  });
+
+  // Protected example: get current user
+  router.get("/me", verifyToken, async (req, res) => {
+    const user = req.currentUser;
+    delete user.password;
+    res.json({ user });
+  });
+
+  // What the caller's package unlocks. Employees see the capabilities of
+  // each company they belong to.
+  router.get("/me/entitlements", verifyToken, async (req, res) => {
+    try {
+      const user = req.currentUser;
+      if (user.role === "hr") {
+        const entitlements = await loadEntitlements(user);
+        return res.json({ role: "hr", ...entitlements });
+      }
+
+      const hrs = await users
+        .find({ role: "hr", companyId: { $in: req.tenant.companyIds } })
+        .toArray();
+      const companies = [];
+      for (const hr of hrs) {
+        const { packageName, capabilities } = await loadEntitlements(hr);
+        companies.push({
+          companyId: hr.companyId,
+          companyName: hr.companyName,
+          packageName,
+          capabilities,
+        });
+      }
+      res.json({ role: user.role, companies });
+    } catch (err) {
+      console.error("entitlements err:", err);
+      sendError(res, 500, "Failed to load entitlements");
+    }
+  });
+
+  // Example protected route
+  router.get("/protected", verifyToken, (req, res) => {
+    res.json({ message: "This is a protected route", user: req.user });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,306 @@
+const express = require("express");
+const { DAY_MS } = require("../config");
+const { sendError } = require("../errors");
+const { writeInvoicePdf } = require("../pdf");
+const { validate, idParam } = require("../validate");
+
+function createBillingRouter(ctx) {
+  const {
+    db,
+    stripe,
+    clock,
+    config,
+    verifyToken,
+    verifyHR,
+    audit,
+    loadEntitlements,
+  } = ctx;
+  const packages = db.collection("packages");
+  const router = express.Router();
+
+  // ------------------ PAYMENTS (Stripe checkout session) ------------------
+  // Create checkout session for package upgrade (requires stripe env)
+  // ------------------
+  // GET all packages
+  // -----------------------------
+  router.get("/packages", async (req, res) => {
+    try {
+      const allPackages = await packages.find({}).toArray();
+      res.json({ packages: allPackages });
+    } catch (err) {
+      console.error("Fetch packages error:", err);
+      sendError(res, 500, "Failed to fetch packages");
+    }
+  });
+
+  // -----------------------------
+  // GET all packages
+  // -----------------------------
+  router.get("/packages", verifyToken, async (req, res) => {
+    try {
+      const allPackages = await packages.find({}).toArray();
+      res.json({ packages: allPackages });
+    } catch (err) {
+      console.error("Fetch packages error:", err);
+      sendError(res, 500, "Failed to fetch packages");
+    }
+  });
+
+  // -----------------------------
+  // GET all payments for logged-in HR
+  // -----------------------------
+  router.get("/payments", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const allPayments = await req.tenant
+        .collection("payments")
+        .find({})
+        .toArray();
+      res.json({ payments: allPayments });
+    } catch (err) {
+      console.error("Fetch payments error:", err);
+      sendError(res, 500, "Failed to fetch payments");
+    }
+  });
+
+  // HR: download a payment's invoice as a PDF
+  router.get(
+    "/payments/:id/invoice",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const payment = await req.tenant
+          .collection("payments")
+          .findOne({ _id: req.params.id });
+        if (!payment || !payment.invoiceNumber)
+          return sendError(res, 404, "Invoice not found");
+
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${payment.invoiceNumber}.pdf"`
+        );
+        writeInvoicePdf(res, {
+          number: payment.invoiceNumber,
+          date: payment.invoiceDate,
+          companyName: payment.companyName,
+          hrEmail: payment.hrEmail,
+          packageName: payment.packageName,
+          periodEnd: payment.periodEnd,
+          amount: payment.amount,
+          transactionId: payment.transactionId,
+          status: payment.status,
+          refundedAmount: payment.refundedAmount,
+        });
+      } catch (err) {
+        console.error("invoice pdf err:", err);
+        sendError(res, 500, "Failed to generate invoice");
+      }
+    }
+  );
+
+  // HR: ask for a refund within the refund window. The payment is only
+  // marked refunded once Stripe confirms it through charge.refunded.
+  router.post(
+    "/payments/:id/refund",
+    verifyToken,
+    verifyHR,
+    validate({
+      params: idParam,
+      body: { reason: { type: "string", max: 500, default: "" } },
+    }),
+    async (req, res) => {
+      try {
+        if (!stripe) {
+          return sendError(
+            res,
+            500,
+            "Stripe is not configured. Set STRIPE_SECRET_KEY in .env"
+          );
+        }
+
+        const tenantPayments = req.tenant.collection("payments");
+        const payment = await tenantPayments.findOne({ _id: req.params.id });
+        if (!payment) return sendError(res, 404, "Payment not found");
+        if (payment.status !== "completed" || payment.refundStatus)
+          return sendError(res, 400, "Payment is not eligible for a refund");
+
+        const windowEnd = new Date(
+          new Date(payment.paymentDate).getTime() +
+            config.refundWindowDays * DAY_MS
+        );
+        if (windowEnd < clock.now())
+          return sendError(
+            res,
+            400,
+            `Refunds are only available within ${config.refundWindowDays} days of payment`
+          );
+        if (!payment.transactionId || !payment.transactionId.startsWith("pi_"))
+          return sendError(res, 400, "This payment cannot be refunded online");
+
+        // claim the payment first so a double click cannot refund twice
+        const claimed = await tenantPayments.updateOne(
+          { _id: payment._id, refundStatus: { $exists: false } },
+          {
+            $set: {
+              refundStatus: "requested",
+              refundRequestedAt: clock.now(),
+              refundReason: req.body.reason,
+            },
+          }
+        );
+        if (claimed.modifiedCount === 0)
+          return sendError(res, 400, "Payment is not eligible for a refund");
+
+        try {
+          const refund = await stripe.refunds.create({
+            payment_intent: payment.transactionId,
+            metadata: { paymentId: payment._id.toString() },
+          });
+          await tenantPayments.updateOne(
+            { _id: payment._id },
+            { $set: { refundId: refund.id } }
+          );
+        } catch (err) {
+          await tenantPayments.updateOne(
+            { _id: payment._id },
+            { $unset: { refundStatus: "", refundRequestedAt: "" } }
+          );
+          throw err;
+        }
+
+        await audit(req, {
+          action: "payment.refund_requested",
+          entityType: "payment",
+          entityId: payment._id,
+          before: { refundStatus: null },
+          after: { refundStatus: "requested", reason: req.body.reason },
+        });
+
+        res.json({ success: true, message: "Refund requested" });
+      } catch (err) {
+        console.error("refund err:", err);
+        sendError(res, 500, "Refund failed");
+      }
+    }
+  );
+
+  // CREATE STRIPE CHECKOUT SESSION
+  router.post(
+    "/create-checkout-session",
+    verifyToken,
+    verifyHR,
+    validate({ body: { packageId: { type: "objectId", required: true } } }),
+    async (req, res) => {
+      try {
+        // Check if Stripe is configured
+        if (!stripe) {
+          return sendError(
+            res,
+            500,
+            "Stripe is not configured. Set STRIPE_SECRET_KEY in .env"
+          );
+        }
+
+        const { packageId } = req.body;
+        const pkg = await packages.findOne({ _id: packageId });
+        if (!pkg) return sendError(res, 404, "Package not found");
+
+        const hr = req.currentUser;
+        if (
+          hr.stripeSubscriptionId &&
+          ["active", "trialing", "past_due"].includes(hr.subscriptionStatus)
+        )
+          return sendError(
+            res,
+            400,
+            "Change your plan from the billing portal instead"
+          );
+
+        const metadata = {
+          hrEmail: hr.email,
+          companyId: req.tenant.companyId.toString(),
+          packageId: packageId.toString(),
+        };
+
+        const session = await stripe.checkout.sessions.create({
+          payment_method_types: ["card"],
+          line_items: [
+            pkg.stripePriceId
+              ? { price: pkg.stripePriceId, quantity: 1 }
+              : {
+                  price_data: {
+                    currency: "usd",
+                    product_data: { name: pkg.name + " Package" },
+                    unit_amount: Math.round(pkg.price * 100),
+                    recurring: { interval: "month" },
+                  },
+                  quantity: 1,
+                },
+          ],
+          mode: "subscription",
+          customer: hr.stripeCustomerId || undefined,
+          customer_email: hr.stripeCustomerId ? undefined : hr.email,
+          success_url: `${config.clientUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${config.clientUrl}/payment-cancel`,
+          metadata,
+          subscription_data: { metadata },
+        });
+
+        res.json({ url: session.url });
+      } catch (err) {
+        console.error("create checkout err:", err);
+        sendError(res, 500, "Failed to create checkout session");
+      }
+    }
+  );
+
+  // Billing portal for upgrades, downgrades, cancellation and card updates
+  router.post("/billing-portal", verifyToken, verifyHR, async (req, res) => {
+    try {
+      if (!stripe) {
+        return sendError(
+          res,
+          500,
+          "Stripe is not configured. Set STRIPE_SECRET_KEY in .env"
+        );
+      }
+      if (!req.currentUser.stripeCustomerId)
+        return sendError(res, 400, "No subscription to manage");
+
+      const portal = await stripe.billingPortal.sessions.create({
+        customer: req.currentUser.stripeCustomerId,
+        return_url: `${config.clientUrl}/dashboard`,
+      });
+      res.json({ url: portal.url });
+    } catch (err) {
+      console.error("billing portal err:", err);
+      sendError(res, 500, "Failed to open billing portal");
+    }
+  });
+
+  // Current subscription state for the HR dashboard
+  router.get("/subscription", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const hr = req.currentUser;
+      const { packageName, limits, usage } = await loadEntitlements(hr);
+      res.json({
+        subscription: packageName,
+        packageLimit: limits.employees,
+        currentEmployees: usage.employees,
+        overLimit: usage.employees > limits.employees,
+        status: hr.subscriptionStatus || null,
+        currentPeriodEnd: hr.currentPeriodEnd || null,
+        graceUntil: hr.graceUntil || null,
+      });
+    } catch (err) {
+      console.error("subscription err:", err);
+      sendError(res, 500, "Failed to load subscription");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBillingRouter };
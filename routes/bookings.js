@@ -0,0 +1,378 @@
+const express = require("express");
+const {
+  BOOKING_STATUSES,
+  MAX_BOOKING_DAYS,
+  MAX_CALENDAR_DAYS,
+  dayOf,
+  dayCount,
+} = require("../bookings");
+const { DAY_MS } = require("../config");
+const { HttpError, sendError } = require("../errors");
+const { bookingEvent } = require("../events");
+const { parseListQuery, runListQuery } = require("../listQuery");
+const { MAX_LINE_QUANTITY } = require("../requestLines");
+const { validate, idParam } = require("../validate");
+
+function createBookingsRouter(ctx) {
+  const {
+    db,
+    client,
+    clock,
+    verifyToken,
+    verifyHR,
+    audit,
+    publishEvent,
+    availabilityOf,
+    assertBookable,
+    lockAsset,
+    startBooking,
+  } = ctx;
+  const users = db.collection("users");
+  const bookings = db.collection("bookings");
+  const router = express.Router();
+
+  function sendBookingError(res, err, message) {
+    if (err instanceof HttpError)
+      return sendError(res, err.status, err.message, err);
+    console.error("booking err:", err);
+    sendError(res, 500, message);
+  }
+
+  // ------------------ BOOKINGS ------------------
+
+  // An employee books units of a returnable asset for a range of days,
+  // starting today at the earliest. The booking must fit every day it
+  // covers and then waits for HR.
+  router.post(
+    "/bookings",
+    verifyToken,
+    validate({
+      body: {
+        assetId: { type: "objectId", required: true },
+        startDate: { type: "date", required: true },
+        endDate: { type: "date", required: true },
+        quantity: {
+          type: "integer",
+          min: 1,
+          max: MAX_LINE_QUANTITY,
+          default: 1,
+        },
+        note: { type: "string", max: 500, default: "" },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const { quantity, note } = req.body;
+        const startDate = dayOf(req.body.startDate);
+        const endDate = dayOf(req.body.endDate);
+        if (startDate < dayOf(clock.now()))
+          return sendError(res, 400, "Bookings cannot start in the past");
+        if (endDate < startDate)
+          return sendError(res, 400, "endDate must not be before startDate");
+        if (dayCount(startDate, endDate) > MAX_BOOKING_DAYS)
+          return sendError(
+            res,
+            400,
+            `Bookings can last at most ${MAX_BOOKING_DAYS} days`
+          );
+
+        const asset = await req.tenant
+          .collection("assets")
+          .findOne({ _id: req.body.assetId });
+        if (!asset) return sendError(res, 404, "Asset not found");
+        if (asset.productType !== "Returnable")
+          return sendError(res, 400, "Only returnable assets can be booked");
+        await assertBookable(req.tenant, asset, {
+          startDate,
+          endDate,
+          quantity,
+        });
+
+        const employee = req.currentUser;
+        const hr = await users.findOne({
+          role: "hr",
+          companyId: asset.companyId,
+        });
+        const booking = {
+          companyId: asset.companyId,
+          companyName: hr ? hr.companyName : null,
+          assetId: asset._id,
+          assetName: asset.productName,
+          assetType: asset.productType,
+          quantity,
+          startDate,
+          endDate,
+          note,
+          requesterName: employee.name,
+          requesterEmail: employee.email,
+          hrEmail: hr ? hr.email : null,
+          processedBy: null,
+          status: "pending",
+          assignmentIds: [],
+          createdAt: clock.now(),
+          decidedAt: null,
+        };
+        const { insertedId } = await req.tenant
+          .collection("bookings")
+          .insertOne(booking);
+        booking._id = insertedId;
+
+        await audit(req, {
+          action: "booking.created",
+          entityType: "booking",
+          entityId: insertedId,
+          companyId: booking.companyId,
+          after: booking,
+        });
+        await publishEvent(bookingEvent("booking.created", booking));
+
+        res.json({ success: true, bookingId: insertedId, status: "pending" });
+      } catch (err) {
+        sendBookingError(res, err, "Failed to submit booking");
+      }
+    }
+  );
+
+  const MY_BOOKING_LIST = {
+    search: ["assetName"],
+    filters: { status: { values: BOOKING_STATUSES } },
+    dateField: "startDate",
+    sortable: {
+      startDate: "startDate",
+      createdAt: "createdAt",
+      assetName: "assetName",
+    },
+    defaultSort: "-startDate",
+  };
+
+  const HR_BOOKING_LIST = {
+    ...MY_BOOKING_LIST,
+    search: ["assetName", "requesterName", "requesterEmail"],
+    sortable: { ...MY_BOOKING_LIST.sortable, requesterName: "requesterName" },
+  };
+
+  router.get("/bookings/my", verifyToken, async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, MY_BOOKING_LIST);
+      const { items, ...pageInfo } = await runListQuery(
+        bookings,
+        { requesterEmail: req.currentUser.email },
+        list
+      );
+      res.json({ bookings: items, ...pageInfo });
+    } catch (err) {
+      sendBookingError(res, err, "Failed to load bookings");
+    }
+  });
+
+  // HR: every booking of the company
+  router.get("/bookings/hr", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, HR_BOOKING_LIST);
+      const { items, ...pageInfo } = await runListQuery(
+        req.tenant.collection("bookings"),
+        {},
+        list
+      );
+      res.json({ bookings: items, ...pageInfo });
+    } catch (err) {
+      sendBookingError(res, err, "Failed to load bookings");
+    }
+  });
+
+  // HR: approve a pending booking that still fits. One whose first day has
+  // already come is handed over straight away.
+  router.patch(
+    "/bookings/:id/approve",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    async (req, res) => {
+      const session = client.startSession();
+      try {
+        const hr = req.currentUser;
+        const tenantBookings = req.tenant.collection("bookings");
+        let booking;
+        await session.withTransaction(async () => {
+          const pending = await tenantBookings.findOne(
+            { _id: req.params.id },
+            { session }
+          );
+          if (!pending) throw new HttpError(404, "Booking not found");
+          if (pending.status !== "pending")
+            throw new HttpError(400, "Booking not pending");
+
+          // Assets only go to members of the company
+          const membership = await req.tenant
+            .collection("employeeAffiliations")
+            .findOne(
+              { employeeEmail: pending.requesterEmail, status: "active" },
+              { session }
+            );
+          if (!membership)
+            throw new HttpError(
+              400,
+              "Cannot approve: employee is not a member of this company"
+            );
+
+          const asset = await req.tenant
+            .collection("assets")
+            .findOne({ _id: pending.assetId }, { session });
+          if (!asset) throw new HttpError(404, "Asset not found");
+          await lockAsset(asset._id, session);
+          await assertBookable(req.tenant, asset, pending, session);
+
+          const decision = {
+            status: "approved",
+            processedBy: hr.name,
+            hrEmail: hr.email,
+            decidedAt: clock.now(),
+          };
+          const saved = await tenantBookings.updateOne(
+            { _id: pending._id, status: "pending" },
+            { $set: decision },
+            { session }
+          );
+          if (saved.modifiedCount === 0)
+            throw new HttpError(400, "Booking not pending");
+          booking = { ...pending, ...decision };
+        });
+
+        await audit(req, {
+          action: "booking.approved",
+          entityType: "booking",
+          entityId: booking._id,
+          before: { status: "pending" },
+          after: { status: "approved" },
+        });
+        await publishEvent(bookingEvent("booking.approved", booking));
+
+        let assignmentIds = [];
+        if (booking.startDate <= clock.now()) {
+          try {
+            assignmentIds = await startBooking(booking);
+          } catch (err) {
+            // the scheduler tries again until the booking's last day
+            if (!(err instanceof HttpError)) throw err;
+          }
+        }
+
+        res.json({
+          success: true,
+          status: assignmentIds.length > 0 ? "active" : "approved",
+          assignmentIds,
+        });
+      } catch (err) {
+        sendBookingError(res, err, "Approve failed");
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Move a booking that has not started yet to `status`
+  async function closeBooking(req, filter, status) {
+    const before = await req.tenant.collection("bookings").findOneAndUpdate(
+      {
+        ...filter,
+        _id: req.params.id,
+        status: { $in: ["pending", "approved"] },
+      },
+      { $set: { status, decidedAt: clock.now() } }
+    );
+    if (!before) throw new HttpError(400, "Booking cannot be changed");
+
+    await audit(req, {
+      action: `booking.${status}`,
+      entityType: "booking",
+      entityId: before._id,
+      companyId: before.companyId,
+      before: { status: before.status },
+      after: { status },
+    });
+    await publishEvent(
+      bookingEvent(`booking.${status}`, { ...before, status })
+    );
+  }
+
+  // HR: turn down a booking that has not started
+  router.patch(
+    "/bookings/:id/reject",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        await closeBooking(req, {}, "rejected");
+        res.json({ success: true, status: "rejected" });
+      } catch (err) {
+        sendBookingError(res, err, "Reject failed");
+      }
+    }
+  );
+
+  // The employee calls off their own booking before it starts
+  router.patch(
+    "/bookings/:id/cancel",
+    verifyToken,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        await closeBooking(
+          req,
+          { requesterEmail: req.currentUser.email },
+          "cancelled"
+        );
+        res.json({ success: true, status: "cancelled" });
+      } catch (err) {
+        sendBookingError(res, err, "Cancel failed");
+      }
+    }
+  );
+
+  // ------------------ AVAILABILITY ------------------
+  // Free units of an asset per day, for four weeks from today unless ?from=
+  // and ?to= say otherwise
+  router.get(
+    "/assets/:id/availability",
+    verifyToken,
+    validate({
+      params: idParam,
+      query: { from: { type: "date" }, to: { type: "date" } },
+    }),
+    async (req, res) => {
+      try {
+        const from = dayOf(req.query.from || clock.now());
+        const to = req.query.to
+          ? dayOf(req.query.to)
+          : new Date(from.getTime() + 27 * DAY_MS);
+        if (to < from) return sendError(res, 400, "to must not be before from");
+        if (dayCount(from, to) > MAX_CALENDAR_DAYS)
+          return sendError(
+            res,
+            400,
+            `Ask for at most ${MAX_CALENDAR_DAYS} days at a time`
+          );
+
+        const asset = await req.tenant
+          .collection("assets")
+          .findOne({ _id: req.params.id });
+        if (!asset) return sendError(res, 404, "Asset not found");
+
+        const days = await availabilityOf(req.tenant, asset, from, to);
+        res.json({
+          assetId: asset._id,
+          assetName: asset.productName,
+          bookable: asset.productType === "Returnable",
+          days,
+        });
+      } catch (err) {
+        sendBookingError(res, err, "Failed to load availability");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createBookingsRouter };
@@ -0,0 +1,162 @@
+const express = require("express");
+const { HELD_STATUSES } = require("../assetUnits");
+const { HttpError, sendError } = require("../errors");
+const { affiliationEvent } = require("../events");
+const { parseListQuery } = require("../listQuery");
+const { validate } = require("../validate");
+
+function createEmployeesRouter(ctx) {
+  const { db, verifyToken, verifyHR, audit, publishEvent } = ctx;
+  const users = db.collection("users");
+  const router = express.Router();
+
+  // ------------------ AFFILIATIONS & EMPLOYEE LIST ------------------
+  // HR: list employees affiliated to this HR
+  const EMPLOYEE_LIST = {
+    search: ["employeeName", "employeeEmail"],
+    sortable: {
+      name: "employeeName",
+      email: "employeeEmail",
+      joinDate: "joinDate",
+    },
+    defaultSort: "name",
+  };
+
+  router.get("/hr/employees", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, EMPLOYEE_LIST);
+
+      const [result] = await req.tenant
+        .collection("employeeAffiliations")
+        .aggregate([
+          { $match: { status: "active" } },
+          {
+            $lookup: {
+              from: "users",
+              localField: "employeeEmail",
+              foreignField: "email",
+              as: "user",
+            },
+          },
+          { $unwind: "$user" },
+          {
+            $lookup: {
+              from: "assignedAssets",
+              let: { email: "$employeeEmail", companyId: "$companyId" },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: {
+                      $and: [
+                        { $eq: ["$employeeEmail", "$$email"] },
+                        { $eq: ["$companyId", "$$companyId"] },
+                        { $in: ["$status", HELD_STATUSES] },
+                      ],
+                    },
+                  },
+                },
+                { $count: "count" },
+              ],
+              as: "assigned",
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              employeeName: "$user.name",
+              employeeEmail: "$user.email",
+              photo: { $ifNull: ["$user.profileImage", ""] },
+              joinDate: { $ifNull: ["$joinedAt", "$user.createdAt"] },
+              assignedAssets: {
+                $ifNull: [{ $arrayElemAt: ["$assigned.count", 0] }, 0],
+              },
+              status: "$status",
+            },
+          },
+          { $match: list.filter },
+          {
+            $facet: {
+              items: [
+                { $sort: { [list.sortField]: list.sortDir } },
+                { $skip: (list.page - 1) * list.limit },
+                { $limit: list.limit },
+              ],
+              total: [{ $count: "count" }],
+            },
+          },
+        ])
+        .toArray();
+
+      const total = result.total.length > 0 ? result.total[0].count : 0;
+      res.json({
+        employees: result.items,
+        total,
+        page: list.page,
+        limit: list.limit,
+        hasMore: list.page * list.limit < total,
+      });
+    } catch (err) {
+      if (err instanceof HttpError)
+        return sendError(res, err.status, err.message, err);
+      console.error("hr employees err:", err);
+      sendError(res, 500, "Fetch failed");
+    }
+  });
+
+  // HR: remove affiliation (remove from team)
+  router.delete(
+    "/hr/employees/:email",
+    verifyToken,
+    verifyHR,
+    validate({ params: { email: { type: "email", required: true } } }),
+    async (req, res) => {
+      try {
+        const empEmail = req.params.email;
+        const tenantAffiliations = req.tenant.collection(
+          "employeeAffiliations"
+        );
+
+        const aff = await tenantAffiliations.findOne({
+          employeeEmail: empEmail,
+          status: "active",
+        });
+        if (!aff) return sendError(res, 404, "Affiliation not found");
+
+        // mark affiliation inactive
+        await tenantAffiliations.updateOne(
+          { _id: aff._id },
+          { $set: { status: "inactive" } }
+        );
+
+        // decrement currentEmployees
+        await users.updateOne(
+          { email: req.currentUser.email },
+          { $inc: { currentEmployees: -1 } }
+        );
+
+        await audit(req, {
+          action: "employee.removed",
+          entityType: "affiliation",
+          entityId: aff._id,
+          before: aff,
+          after: { ...aff, status: "inactive" },
+        });
+        await publishEvent(
+          affiliationEvent("affiliation.removed", {
+            ...aff,
+            status: "inactive",
+          })
+        );
+
+        res.json({ success: true });
+      } catch (err) {
+        console.error("remove employee err:", err);
+        sendError(res, 500, "Remove failed");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createEmployeesRouter };
@@ -0,0 +1,111 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canReceive } = require("../events");
+const { sendError } = require("../errors");
+const { validate } = require("../validate");
+
+function createEventsRouter(ctx) {
+  const { clock, verifyToken, subscribeEvents, missedEvents } = ctx;
+  const router = express.Router();
+
+  // ------------------ REAL-TIME EVENTS (Server-Sent Events) ------------------
+  const HEARTBEAT_MS = 25 * 1000;
+  const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+  // EventSource cannot set headers, so browsers pass the access token as
+  // ?token= instead of an Authorization header
+  function tokenFromQuery(req, res, next) {
+    if (!req.headers.authorization && req.query.token)
+      req.headers.authorization = `Bearer ${req.query.token}`;
+    next();
+  }
+
+  function writeEvent(res, event) {
+    res.write(`id: ${event._id}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+  }
+
+  // A stream of the caller's events. Reconnecting clients resume with the
+  // Last-Event-ID header (sent by EventSource) or ?lastEventId=.
+  router.get(
+    "/events",
+    validate({
+      query: {
+        token: { type: "string" },
+        lastEventId: { type: "objectId" },
+      },
+    }),
+    tokenFromQuery,
+    verifyToken,
+    async (req, res) => {
+      const header = req.get("Last-Event-ID");
+      if (header && !ObjectId.isValid(header))
+        return sendError(res, 400, "Invalid Last-Event-ID header");
+      const resumeFrom = header ? new ObjectId(header) : req.query.lastEventId;
+
+      const user = req.currentUser;
+      const { companyIds } = req.tenant;
+
+      // Live events are held back until the missed ones are written, so
+      // nothing is lost or sent twice in between
+      let lastSentId = resumeFrom ? resumeFrom.toHexString() : "";
+      let pending = [];
+      const send = (event) => {
+        // ObjectId hex strings sort in creation order
+        const id = event._id.toHexString();
+        if (id <= lastSentId) return;
+        writeEvent(res, event);
+        lastSentId = id;
+      };
+      const unsubscribe = subscribeEvents((event) => {
+        if (!canReceive(event, user, companyIds)) return;
+        if (pending) pending.push(event);
+        else send(event);
+      });
+
+      const heartbeat = setInterval(
+        () => res.write(": ping\n\n"),
+        HEARTBEAT_MS
+      );
+      // the stream ends with the access token; the client reconnects with a
+      // refreshed one and resumes from its last event id
+      const tokenMsLeft = req.user.exp * 1000 - clock.now().getTime();
+      const expiry = setTimeout(() => {
+        res.write("event: token.expired\ndata: {}\n\n");
+        res.end();
+      }, Math.min(Math.max(0, tokenMsLeft), MAX_TIMEOUT_MS));
+
+      req.on("close", () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+      });
+
+      try {
+        res.set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+          "X-Accel-Buffering": "no",
+        });
+        res.flushHeaders();
+        res.write("retry: 5000\n\n");
+
+        if (resumeFrom) {
+          const missed = await missedEvents(resumeFrom, user, companyIds);
+          for (const event of missed) send(event);
+        }
+        for (const event of pending) send(event);
+        pending = null;
+      } catch (err) {
+        console.error("events stream err:", err);
+        res.end();
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createEventsRouter };
@@ -0,0 +1,161 @@
+const express = require("express");
+const { contentTypeOf } = require("../images");
+const { HttpError, sendError } = require("../errors");
+const { validate, idParam } = require("../validate");
+
+function createImagesRouter(ctx) {
+  const {
+    db,
+    clock,
+    storage,
+    verifyToken,
+    verifyHR,
+    audit,
+    imageUpload,
+    storeImage,
+    removeImage,
+    imageUrl,
+  } = ctx;
+  const users = db.collection("users");
+  const companies = db.collection("companies");
+  const router = express.Router();
+
+  // ------------------ IMAGES ------------------
+  const STORED_KEY = /^[\w-]+(\/[\w-]+)*\.\w+$/;
+
+  function sendImageError(res, err, fallback) {
+    if (err instanceof HttpError)
+      return sendError(res, err.status, err.message, err);
+    console.error(`${fallback}:`, err);
+    sendError(res, 500, fallback);
+  }
+
+  // Stored images and thumbnails. Keys are random, so they are served
+  // without authentication and can be used directly in <img> tags.
+  router.get("/images/*key", async (req, res) => {
+    try {
+      const key = req.params.key.join("/");
+      const contentType = STORED_KEY.test(key) ? contentTypeOf(key) : null;
+      const stream = contentType ? await storage.open(key) : null;
+      if (!stream) return sendError(res, 404, "Image not found");
+
+      res.set({
+        "Content-Type": contentType,
+        // a key never changes content; a new upload gets a new key
+        "Cache-Control": "public, max-age=31536000, immutable",
+        "X-Content-Type-Options": "nosniff",
+      });
+      stream.on("error", (err) => {
+        console.error("read image err:", err);
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    } catch (err) {
+      sendImageError(res, err, "Failed to load image");
+    }
+  });
+
+  // HR: upload an asset's image (multipart field "image"). Replaces the
+  // previous one.
+  router.post(
+    "/assets/:id/image",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    imageUpload("image"),
+    async (req, res) => {
+      try {
+        if (!req.file) return sendError(res, 400, "No image uploaded");
+
+        const tenantAssets = req.tenant.collection("assets");
+        const before = await tenantAssets.findOne({ _id: req.params.id });
+        if (!before) return sendError(res, 404, "Asset not found");
+
+        const image = await storeImage(`assets/${before.companyId}`, req.file);
+        const update = {
+          image,
+          productImage: imageUrl(image.key),
+          productThumbnail: imageUrl(image.thumbnailKey),
+        };
+        const result = await tenantAssets.updateOne(
+          { _id: before._id },
+          { $set: update }
+        );
+        if (result.matchedCount === 0) {
+          // deleted while the upload was processed
+          await removeImage(image);
+          return sendError(res, 404, "Asset not found");
+        }
+        await removeImage(before.image);
+
+        await audit(req, {
+          action: "asset.image_uploaded",
+          entityType: "asset",
+          entityId: before._id,
+          before: { productImage: before.productImage },
+          after: { productImage: update.productImage },
+        });
+
+        res.json({
+          success: true,
+          productImage: update.productImage,
+          productThumbnail: update.productThumbnail,
+        });
+      } catch (err) {
+        sendImageError(res, err, "Image upload failed");
+      }
+    }
+  );
+
+  // HR: upload the company logo (multipart field "logo")
+  router.post(
+    "/me/company-logo",
+    verifyToken,
+    verifyHR,
+    imageUpload("logo"),
+    async (req, res) => {
+      try {
+        if (!req.file) return sendError(res, 400, "No image uploaded");
+
+        const hr = req.currentUser;
+        const image = await storeImage(`logos/${hr.companyId}`, req.file);
+        const companyLogo = imageUrl(image.key);
+        const companyLogoThumbnail = imageUrl(image.thumbnailKey);
+
+        await users.updateOne(
+          { _id: hr._id },
+          {
+            $set: {
+              companyLogo,
+              companyLogoThumbnail,
+              companyLogoImage: image,
+              updatedAt: clock.now(),
+            },
+          }
+        );
+        if (hr.companyId)
+          await companies.updateOne(
+            { _id: hr.companyId },
+            { $set: { logo: companyLogo } }
+          );
+        await removeImage(hr.companyLogoImage);
+
+        await audit(req, {
+          action: "company.logo_uploaded",
+          entityType: "company",
+          entityId: hr.companyId,
+          before: { logo: hr.companyLogo || "" },
+          after: { logo: companyLogo },
+        });
+
+        res.json({ success: true, companyLogo, companyLogoThumbnail });
+      } catch (err) {
+        sendImageError(res, err, "Logo upload failed");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createImagesRouter };
@@ -0,0 +1,293 @@
+const express = require("express");
+const { once } = require("events");
+const { ASSET_TYPES, HELD_STATUSES } = require("../assetUnits");
+const { csvLine } = require("../csv");
+const { HttpError, sendError } = require("../errors");
+const { formatOf, readInventoryFile } = require("../inventory");
+const { MB, singleFileUpload } = require("../uploads");
+const { validate, checkSchema } = require("../validate");
+
+function createInventoryRouter(ctx) {
+  const {
+    client,
+    clock,
+    verifyToken,
+    verifyHR,
+    audit,
+    buildUnits,
+    syncAssetQuantities,
+    releaseWaitlist,
+  } = ctx;
+  const router = express.Router();
+
+  // ------------------ INVENTORY IMPORT / EXPORT ------------------
+  const IMPORT_ROW = {
+    productName: { type: "string", required: true, max: 200 },
+    productType: { type: "string", required: true, enum: ASSET_TYPES },
+    sku: { type: "string", max: 100 },
+    quantity: { type: "integer", min: 0, max: 1000 },
+    productImage: { type: "string", max: 2000 },
+  };
+  const ASSET_COLUMNS = ["productName", "productType", "sku", "productImage"];
+
+  const inventoryUpload = singleFileUpload("file", {
+    maxBytes: 5 * MB,
+    accepts: (file) => formatOf(file) !== null,
+    typeMessage: "Upload a .csv or .xlsx file",
+  });
+
+  // What every row would do to the company's assets, without writing
+  // anything. Rows match an existing asset by SKU, or by name when they
+  // have none; `quantity` is the number of units the asset should have.
+  async function planImport(tenant, records, session) {
+    const assets = await tenant
+      .collection("assets")
+      .find({}, { session })
+      .toArray();
+    const bySku = new Map();
+    const byName = new Map();
+    for (const asset of assets) {
+      if (asset.sku) bySku.set(asset.sku, asset);
+      const name = asset.productName.toLowerCase();
+      byName.set(name, [...(byName.get(name) || []), asset]);
+    }
+
+    const seen = new Set();
+    const rows = records.map(({ row, ...record }) => {
+      // "returnable" in a spreadsheet means "Returnable"
+      const productType =
+        ASSET_TYPES.find(
+          (type) =>
+            type.toLowerCase() === String(record.productType).toLowerCase()
+        ) || record.productType;
+      const { value, problems } = checkSchema(
+        { ...record, productType },
+        IMPORT_ROW
+      );
+      const errors = [...problems];
+      const sku = value.sku || null;
+      const name = (value.productName || "").toLowerCase();
+
+      const key = sku ? `sku:${sku}` : `name:${name}`;
+      if (seen.has(key))
+        errors.push({
+          field: sku ? "sku" : "productName",
+          message: "appears more than once in the file",
+        });
+      seen.add(key);
+
+      // an asset without a SKU can still be matched by name and given one
+      const named = (byName.get(name) || []).filter(
+        (asset) => !sku || !asset.sku
+      );
+      let asset = sku ? bySku.get(sku) || null : null;
+      if (!asset && named.length > 1)
+        errors.push({
+          field: "productName",
+          message:
+            "matches several assets; add a sku column to tell them apart",
+        });
+      else if (!asset) asset = named[0] || null;
+
+      const current = asset ? asset.productQuantity || 0 : 0;
+      const quantity = value.quantity ?? current;
+      if (quantity < current)
+        errors.push({
+          field: "quantity",
+          message: `cannot be lower than the ${current} units on record; retire units instead`,
+        });
+
+      const changes = {};
+      for (const column of ASSET_COLUMNS) {
+        const next = column === "sku" ? sku : value[column];
+        if (next === undefined || next === null) continue;
+        if (!asset || asset[column] !== next) changes[column] = next;
+      }
+
+      let action = "unchanged";
+      if (errors.length > 0) action = "error";
+      else if (!asset) action = "create";
+      else if (Object.keys(changes).length > 0 || quantity > current)
+        action = "update";
+
+      return {
+        row,
+        action,
+        assetId: asset ? asset._id : null,
+        productName: value.productName,
+        sku,
+        quantity,
+        unitsToAdd: Math.max(quantity - current, 0),
+        changes,
+        errors,
+      };
+    });
+
+    const summary = { rows: rows.length };
+    for (const action of ["create", "update", "unchanged", "error"])
+      summary[action] = rows.filter((row) => row.action === action).length;
+    return { summary, rows };
+  }
+
+  async function applyImport(req, plan, session) {
+    const hr = req.currentUser;
+    const tenantAssets = req.tenant.collection("assets");
+
+    for (const row of plan.rows) {
+      if (row.action === "create") {
+        const asset = {
+          productName: row.changes.productName,
+          productImage: row.changes.productImage || "",
+          productType: row.changes.productType,
+          sku: row.sku,
+          dateAdded: clock.now(),
+          hrEmail: hr.email,
+          companyName: hr.companyName,
+          companyId: req.tenant.companyId,
+          productQuantity: 0,
+          availableQuantity: 0,
+        };
+        const result = await tenantAssets.insertOne(asset, { session });
+        row.assetId = result.insertedId;
+      } else if (row.action === "update") {
+        if (Object.keys(row.changes).length > 0)
+          await tenantAssets.updateOne(
+            { _id: row.assetId },
+            { $set: row.changes },
+            { session }
+          );
+      } else continue;
+
+      if (row.unitsToAdd > 0) {
+        const docs = await buildUnits(
+          { _id: row.assetId, companyId: req.tenant.companyId },
+          Array.from({ length: row.unitsToAdd }, () => ({})),
+          session
+        );
+        await req.tenant.collection("assetUnits").insertMany(docs, { session });
+        await syncAssetQuantities(row.assetId, session);
+      }
+    }
+  }
+
+  // HR: import assets from a CSV or XLSX file (multipart field "file").
+  // By default only a preview is returned; ?dryRun=false applies every row
+  // in one transaction, and only when no row has errors.
+  router.post(
+    "/assets/import",
+    verifyToken,
+    verifyHR,
+    validate({ query: { dryRun: { type: "boolean", default: true } } }),
+    inventoryUpload,
+    async (req, res) => {
+      const session = client.startSession();
+      try {
+        if (!req.file) return sendError(res, 400, "No file uploaded");
+        const records = await readInventoryFile(req.file);
+
+        if (req.query.dryRun) {
+          const plan = await planImport(req.tenant, records);
+          return res.json({ dryRun: true, ...plan });
+        }
+
+        let plan;
+        await session.withTransaction(async () => {
+          plan = await planImport(req.tenant, records, session);
+          if (plan.summary.error > 0)
+            throw new HttpError(
+              400,
+              "Some rows have errors; nothing was imported",
+              {
+                code: "import_invalid",
+                details: plan.rows.filter((row) => row.action === "error"),
+              }
+            );
+          await applyImport(req, plan, session);
+        });
+
+        await audit(req, {
+          action: "asset.imported",
+          entityType: "asset",
+          after: { file: req.file.originalname, ...plan.summary },
+        });
+        for (const row of plan.rows)
+          if (row.action === "update" && row.unitsToAdd > 0)
+            await releaseWaitlist(req.tenant, row.assetId);
+
+        res.json({ dryRun: false, ...plan });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return sendError(res, err.status, err.message, err);
+        if (err.code === 11000)
+          return sendError(
+            res,
+            409,
+            "An asset with this SKU was just created; try again"
+          );
+        console.error("import assets err:", err);
+        sendError(res, 500, "Import failed");
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // HR: the company's inventory as CSV, streamed asset by asset. The
+  // columns are accepted by /assets/import as they are.
+  const EXPORT_COLUMNS = [
+    "sku",
+    "productName",
+    "productType",
+    "quantity",
+    "available",
+    "assigned",
+    "dateAdded",
+  ];
+
+  router.get("/assets/export", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const held = await req.tenant
+        .collection("assignedAssets")
+        .aggregate([
+          { $match: { status: { $in: HELD_STATUSES } } },
+          { $group: { _id: "$assetId", count: { $sum: 1 } } },
+        ])
+        .toArray();
+      const assigned = new Map(held.map((row) => [String(row._id), row.count]));
+
+      const date = clock.now().toISOString().slice(0, 10);
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="inventory-${date}.csv"`,
+      });
+      res.write(csvLine(EXPORT_COLUMNS));
+
+      const assets = req.tenant
+        .collection("assets")
+        .find({})
+        .sort({ productName: 1, _id: 1 });
+      for await (const asset of assets) {
+        const line = csvLine([
+          asset.sku || "",
+          asset.productName,
+          asset.productType,
+          asset.productQuantity || 0,
+          asset.availableQuantity || 0,
+          assigned.get(asset._id.toString()) || 0,
+          asset.dateAdded,
+        ]);
+        if (!res.write(line)) await once(res, "drain");
+      }
+      res.end();
+    } catch (err) {
+      console.error("export assets err:", err);
+      // once the CSV has started there is no way to report an error
+      if (res.headersSent) return res.destroy(err);
+      sendError(res, 500, "Export failed");
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createInventoryRouter };
@@ -0,0 +1,436 @@
+const express = require("express");
+const crypto = require("crypto");
+const { DAY_MS } = require("../config");
+const { CAPABILITIES } = require("../entitlements");
+const { HttpError, sendError } = require("../errors");
+const { affiliationEvent } = require("../events");
+const { escapeHtml } = require("../mailer");
+const { validate, idParam } = require("../validate");
+
+function createInvitationsRouter(ctx) {
+  const {
+    db,
+    client,
+    clock,
+    config,
+    sendMail,
+    verifyToken,
+    verifyHR,
+    verifyEmployee,
+    audit,
+    publishEvent,
+    requireCapability,
+    takeEmployeeSeat,
+  } = ctx;
+  const users = db.collection("users");
+  const affiliations = db.collection("employeeAffiliations");
+  const invitations = db.collection("invitations");
+  const router = express.Router();
+
+  // ------------------ INVITATIONS & JOIN CODES ------------------
+  // Employees join a company only by accepting an email invitation or by
+  // redeeming a join code. Either way affiliateEmployee takes a seat within
+  // the package's employee limit and creates the affiliation.
+  const INVITE_TTL_DAYS = 7;
+  const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+  function generateJoinCode() {
+    const bytes = crypto.randomBytes(8);
+    return Array.from(
+      bytes,
+      (b) => JOIN_CODE_ALPHABET[b % JOIN_CODE_ALPHABET.length]
+    ).join("");
+  }
+
+  async function affiliateEmployee(companyId, employee, joinedVia, session) {
+    const hr = await users.findOne({ role: "hr", companyId }, { session });
+    if (!hr) throw new HttpError(404, "Company not found");
+
+    const existing = await affiliations.findOne(
+      { employeeEmail: employee.email, companyId, status: "active" },
+      { session }
+    );
+    if (existing) throw new HttpError(400, "Already a member of this company");
+
+    await takeEmployeeSeat(hr, session);
+
+    await affiliations.insertOne(
+      {
+        employeeEmail: employee.email,
+        hrEmail: hr.email,
+        companyName: hr.companyName,
+        companyId,
+        status: "active",
+        joinedVia,
+        joinedAt: clock.now(),
+      },
+      { session }
+    );
+    return hr;
+  }
+
+  function sendInvitationError(res, err, fallback) {
+    if (err instanceof HttpError)
+      return sendError(res, err.status, err.message, err);
+    if (err.code === 11000)
+      return sendError(res, 400, "Already a member of this company");
+    console.error(`${fallback}:`, err);
+    sendError(res, 500, fallback);
+  }
+
+  // HR: invite an employee by email
+  router.post(
+    "/hr/invitations",
+    verifyToken,
+    verifyHR,
+    requireCapability(CAPABILITIES.EMPLOYEE_MANAGEMENT),
+    validate({ body: { email: { type: "email", required: true } } }),
+    async (req, res) => {
+      try {
+        const { email } = req.body;
+
+        const tenantInvitations = req.tenant.collection("invitations");
+        const hr = req.currentUser;
+
+        const member = await req.tenant
+          .collection("employeeAffiliations")
+          .findOne({ employeeEmail: email, status: "active" });
+        if (member)
+          return sendError(res, 400, "Already a member of this company");
+
+        const expiresAt = new Date(
+          clock.now().getTime() + INVITE_TTL_DAYS * DAY_MS
+        );
+        const pending = await tenantInvitations.findOne({
+          type: "email",
+          email,
+          status: "pending",
+        });
+        let invitationId;
+        if (pending) {
+          await tenantInvitations.updateOne(
+            { _id: pending._id },
+            { $set: { expiresAt } }
+          );
+          invitationId = pending._id;
+        } else {
+          const result = await tenantInvitations.insertOne({
+            type: "email",
+            email,
+            companyName: hr.companyName,
+            hrEmail: hr.email,
+            status: "pending",
+            createdAt: clock.now(),
+            expiresAt,
+          });
+          invitationId = result.insertedId;
+        }
+
+        const link = `${config.clientUrl}/invitations`;
+        const hrName = escapeHtml(hr.name);
+        const companyName = escapeHtml(hr.companyName);
+        const href = escapeHtml(link);
+        await sendMail({
+          to: email,
+          subject: `${hr.companyName} invited you to AssetVerse`,
+          text: `${hr.name} invited you to join ${hr.companyName} on AssetVerse.\n\nSign in or create an employee account to accept: ${link}\n`,
+          html: `<p>${hrName} invited you to join <b>${companyName}</b> on AssetVerse.</p><p><a href="${href}">Sign in or create an employee account</a> to accept.</p>`,
+        });
+
+        await audit(req, {
+          action: "invitation.sent",
+          entityType: "invitation",
+          entityId: invitationId,
+          after: { email, expiresAt },
+        });
+
+        res.json({ success: true, invitationId });
+      } catch (err) {
+        sendInvitationError(res, err, "Invite failed");
+      }
+    }
+  );
+
+  // HR: create a join code, shareable as a link
+  router.post(
+    "/hr/join-codes",
+    verifyToken,
+    verifyHR,
+    requireCapability(CAPABILITIES.EMPLOYEE_MANAGEMENT),
+    validate({
+      body: {
+        maxUses: { type: "integer", min: 1, default: null },
+        expiresInDays: {
+          type: "integer",
+          min: 1,
+          max: 365,
+          default: INVITE_TTL_DAYS,
+        },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const { maxUses, expiresInDays: days } = req.body;
+
+        const joinCode = {
+          type: "code",
+          code: generateJoinCode(),
+          companyName: req.currentUser.companyName,
+          hrEmail: req.currentUser.email,
+          status: "pending",
+          maxUses,
+          uses: 0,
+          createdAt: clock.now(),
+          expiresAt: new Date(clock.now().getTime() + days * DAY_MS),
+        };
+        const result = await req.tenant
+          .collection("invitations")
+          .insertOne(joinCode);
+        const { code } = joinCode;
+
+        await audit(req, {
+          action: "join_code.created",
+          entityType: "invitation",
+          entityId: result.insertedId,
+          after: joinCode,
+        });
+
+        res.json({
+          success: true,
+          invitationId: result.insertedId,
+          code,
+          link: `${config.clientUrl}/join?code=${code}`,
+        });
+      } catch (err) {
+        sendInvitationError(res, err, "Failed to create join code");
+      }
+    }
+  );
+
+  // HR: list invitations and join codes
+  router.get("/hr/invitations", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const list = await req.tenant
+        .collection("invitations")
+        .find({})
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.json({ invitations: list });
+    } catch (err) {
+      console.error("list invitations err:", err);
+      sendError(res, 500, "Fetch failed");
+    }
+  });
+
+  // HR: revoke an invitation or join code
+  router.delete(
+    "/hr/invitations/:id",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const before = await req.tenant
+          .collection("invitations")
+          .findOneAndUpdate(
+            { _id: req.params.id, status: "pending" },
+            { $set: { status: "revoked", revokedAt: clock.now() } }
+          );
+        if (!before) return sendError(res, 404, "Invitation not found");
+
+        await audit(req, {
+          action: "invitation.revoked",
+          entityType: "invitation",
+          entityId: before._id,
+          before: { status: before.status },
+          after: { status: "revoked" },
+        });
+        res.json({ success: true });
+      } catch (err) {
+        console.error("revoke invitation err:", err);
+        sendError(res, 500, "Revoke failed");
+      }
+    }
+  );
+
+  // Employee: pending invitations addressed to me
+  router.get("/invitations", verifyToken, verifyEmployee, async (req, res) => {
+    try {
+      const list = await invitations
+        .find({
+          type: "email",
+          email: req.currentUser.email,
+          status: "pending",
+          expiresAt: { $gt: clock.now() },
+        })
+        .project({ companyName: 1, hrEmail: 1, createdAt: 1, expiresAt: 1 })
+        .toArray();
+      res.json({ invitations: list });
+    } catch (err) {
+      console.error("my invitations err:", err);
+      sendError(res, 500, "Fetch failed");
+    }
+  });
+
+  // Employee: accept or decline an email invitation
+  router.post(
+    "/invitations/:id/:decision",
+    verifyToken,
+    verifyEmployee,
+    validate({
+      params: {
+        id: { type: "objectId", required: true },
+        decision: {
+          type: "string",
+          required: true,
+          enum: ["accept", "decline"],
+        },
+      },
+    }),
+    async (req, res) => {
+      const session = client.startSession();
+      try {
+        const { id, decision } = req.params;
+
+        const filter = {
+          _id: id,
+          type: "email",
+          email: req.currentUser.email,
+          status: "pending",
+          expiresAt: { $gt: clock.now() },
+        };
+
+        if (decision === "decline") {
+          const declined = await invitations.findOneAndUpdate(filter, {
+            $set: { status: "declined", respondedAt: clock.now() },
+          });
+          if (!declined) return sendError(res, 404, "Invitation not found");
+          await audit(req, {
+            action: "invitation.declined",
+            entityType: "invitation",
+            entityId: declined._id,
+            companyId: declined.companyId,
+            before: { status: "pending" },
+            after: { status: "declined" },
+          });
+          return res.json({ success: true });
+        }
+
+        let companyName;
+        let invitation;
+        await session.withTransaction(async () => {
+          const invite = await invitations.findOneAndUpdate(
+            filter,
+            { $set: { status: "accepted", respondedAt: clock.now() } },
+            { session }
+          );
+          if (!invite) throw new HttpError(404, "Invitation not found");
+          const hr = await affiliateEmployee(
+            invite.companyId,
+            req.currentUser,
+            "invitation",
+            session
+          );
+          companyName = hr.companyName;
+          invitation = invite;
+        });
+
+        await audit(req, {
+          action: "invitation.accepted",
+          entityType: "invitation",
+          entityId: invitation._id,
+          companyId: invitation.companyId,
+          before: { status: "pending" },
+          after: { status: "accepted" },
+        });
+        await publishEvent(
+          affiliationEvent("affiliation.created", {
+            companyId: invitation.companyId,
+            employeeEmail: req.currentUser.email,
+            companyName,
+            status: "active",
+          })
+        );
+
+        res.json({ success: true, companyName });
+      } catch (err) {
+        sendInvitationError(res, err, "Failed to respond to invitation");
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  // Employee: join a company with a join code
+  router.post(
+    "/join",
+    verifyToken,
+    verifyEmployee,
+    validate({
+      body: {
+        code: { type: "string", required: true, uppercase: true, max: 32 },
+      },
+    }),
+    async (req, res) => {
+      const session = client.startSession();
+      try {
+        const { code } = req.body;
+
+        let companyName;
+        let redeemed;
+        await session.withTransaction(async () => {
+          const joinCode = await invitations.findOneAndUpdate(
+            {
+              type: "code",
+              code,
+              status: "pending",
+              expiresAt: { $gt: clock.now() },
+              $or: [
+                { maxUses: null },
+                { $expr: { $lt: ["$uses", "$maxUses"] } },
+              ],
+            },
+            { $inc: { uses: 1 } },
+            { session }
+          );
+          if (!joinCode)
+            throw new HttpError(400, "Invalid or expired join code");
+          const hr = await affiliateEmployee(
+            joinCode.companyId,
+            req.currentUser,
+            "join_code",
+            session
+          );
+          companyName = hr.companyName;
+          redeemed = joinCode;
+        });
+
+        await audit(req, {
+          action: "join_code.redeemed",
+          entityType: "invitation",
+          entityId: redeemed._id,
+          companyId: redeemed.companyId,
+          after: { employeeEmail: req.currentUser.email },
+        });
+        await publishEvent(
+          affiliationEvent("affiliation.created", {
+            companyId: redeemed.companyId,
+            employeeEmail: req.currentUser.email,
+            companyName,
+            status: "active",
+          })
+        );
+
+        res.json({ success: true, companyName });
+      } catch (err) {
+        sendInvitationError(res, err, "Join failed");
+      } finally {
+        await session.endSession();
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createInvitationsRouter };
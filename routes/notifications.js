@@ -0,0 +1,125 @@
+const express = require("express");
+const { HttpError, sendError } = require("../errors");
+const { parseListQuery, runListQuery } = require("../listQuery");
+const { NOTIFICATION_TYPES } = require("../notifications");
+const { validate, idParam } = require("../validate");
+
+function createNotificationsRouter(ctx) {
+  const { db, clock, verifyToken } = ctx;
+  const users = db.collection("users");
+  const notifications = db.collection("notifications");
+  const router = express.Router();
+
+  // ------------------ NOTIFICATIONS ------------------
+  const NOTIFICATION_LIST = {
+    search: ["title"],
+    filters: { type: { values: NOTIFICATION_TYPES } },
+    dateField: "createdAt",
+    sortable: { createdAt: "createdAt" },
+    defaultSort: "-createdAt",
+  };
+
+  // The caller's inbox, newest first; ?unread=true leaves out read ones
+  router.get("/notifications", verifyToken, async (req, res) => {
+    try {
+      const userId = req.currentUser._id;
+      const list = parseListQuery(req.query, NOTIFICATION_LIST);
+      const baseFilter =
+        req.query.unread === "true" ? { userId, readAt: null } : { userId };
+      const [{ items, ...pageInfo }, unreadCount] = await Promise.all([
+        runListQuery(notifications, baseFilter, list),
+        notifications.countDocuments({ userId, readAt: null }),
+      ]);
+      res.json({ notifications: items, unreadCount, ...pageInfo });
+    } catch (err) {
+      if (err instanceof HttpError)
+        return sendError(res, err.status, err.message, err);
+      console.error("get notifications err:", err);
+      sendError(res, 500, "Failed to load notifications");
+    }
+  });
+
+  router.post("/notifications/read-all", verifyToken, async (req, res) => {
+    try {
+      const result = await notifications.updateMany(
+        { userId: req.currentUser._id, readAt: null },
+        { $set: { readAt: clock.now() } }
+      );
+      res.json({ success: true, marked: result.modifiedCount });
+    } catch (err) {
+      console.error("read all notifications err:", err);
+      sendError(res, 500, "Failed to mark notifications read");
+    }
+  });
+
+  router.patch(
+    "/notifications/:id/read",
+    verifyToken,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const notification = await notifications.findOne({
+          _id: req.params.id,
+          userId: req.currentUser._id,
+        });
+        if (!notification) return sendError(res, 404, "Notification not found");
+
+        if (!notification.readAt)
+          await notifications.updateOne(
+            { _id: notification._id },
+            { $set: { readAt: clock.now() } }
+          );
+        res.json({ success: true });
+      } catch (err) {
+        console.error("read notification err:", err);
+        sendError(res, 500, "Failed to mark notification read");
+      }
+    }
+  );
+
+  // Which event types reach the caller's inbox
+  function preferencesOf(user) {
+    const muted = user.mutedNotifications || [];
+    return {
+      types: NOTIFICATION_TYPES.map((type) => ({
+        type,
+        enabled: !muted.includes(type),
+      })),
+    };
+  }
+
+  router.get("/notifications/preferences", verifyToken, (req, res) => {
+    res.json(preferencesOf(req.currentUser));
+  });
+
+  router.put(
+    "/notifications/preferences",
+    verifyToken,
+    validate({
+      body: {
+        muted: {
+          type: "array",
+          required: true,
+          items: { type: "string", enum: NOTIFICATION_TYPES },
+        },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const muted = [...new Set(req.body.muted)];
+        await users.updateOne(
+          { _id: req.currentUser._id },
+          { $set: { mutedNotifications: muted, updatedAt: clock.now() } }
+        );
+        res.json(preferencesOf({ mutedNotifications: muted }));
+      } catch (err) {
+        console.error("update notification preferences err:", err);
+        sendError(res, 500, "Failed to update preferences");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,305 @@
+const express = require("express");
+const { HELD_STATUSES } = require("../assetUnits");
+const { csvLine } = require("../csv");
+const { HttpError, sendError } = require("../errors");
+const { writeHoldingsReportPdf, formatDate } = require("../pdf");
+const { OPEN_LINE_STATUSES, OPEN_STATUSES } = require("../requestLines");
+const { validate } = require("../validate");
+
+function createReportsRouter(ctx) {
+  const { db, clock, verifyToken, verifyHR, reorderLevelOf, lowStockFilter } =
+    ctx;
+  const router = express.Router();
+
+  // ------------------ HOLDINGS REPORTS ------------------
+  // Everything an employee, or a whole company, holds right now: the
+  // assignments still out, one unit each, with the request they came from,
+  // plus the request lines HR has not decided yet.
+  const REPORT_FORMATS = ["pdf", "csv"];
+  const CSV_COLUMNS = [
+    "employeeName",
+    "employeeEmail",
+    "assetName",
+    "assetType",
+    "quantity",
+    "assetTag",
+    "serialNumber",
+    "status",
+    "requestDate",
+    "assignmentDate",
+    "handedOverBy",
+  ];
+
+  // HR reads the company through req.tenant; employees read their own
+  // records, whichever company they came from
+  function collectionsFor(req) {
+    if (req.currentUser.role === "hr")
+      return {
+        assigned: req.tenant.collection("assignedAssets"),
+        requests: req.tenant.collection("requests"),
+      };
+    return {
+      assigned: db.collection("assignedAssets"),
+      requests: db.collection("requests"),
+    };
+  }
+
+  async function loadHoldings(req, employeeEmail) {
+    const { assigned, requests } = collectionsFor(req);
+
+    const holdings = await assigned
+      .find({
+        status: { $in: HELD_STATUSES },
+        ...(employeeEmail && { employeeEmail }),
+      })
+      .sort({ employeeName: 1, assignmentDate: 1 })
+      .toArray();
+
+    const requestIds = holdings.map((item) => item.requestId).filter(Boolean);
+    const sources = await requests
+      .find({ _id: { $in: requestIds } })
+      .project({ requestDate: 1 })
+      .toArray();
+    const requestDates = new Map(
+      sources.map((request) => [request._id.toString(), request.requestDate])
+    );
+    for (const item of holdings)
+      item.requestDate = item.requestId
+        ? requestDates.get(item.requestId.toString()) || null
+        : null;
+
+    // one entry per line HR has not decided yet
+    const open = await requests
+      .find({
+        requestStatus: { $in: OPEN_STATUSES },
+        ...(employeeEmail && { requesterEmail: employeeEmail }),
+      })
+      .sort({ requesterName: 1, requestDate: 1 })
+      .toArray();
+    const pending = open.flatMap((request) =>
+      request.items
+        .filter((line) => OPEN_LINE_STATUSES.includes(line.status))
+        .map((line) => ({
+          requesterName: request.requesterName,
+          requesterEmail: request.requesterEmail,
+          requestDate: request.requestDate,
+          assetName: line.assetName,
+          assetType: line.assetType,
+          quantity: line.quantity,
+          status: line.status,
+        }))
+    );
+
+    return { holdings, pending };
+  }
+
+  function sendCsv(res, filename, { holdings, pending }) {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}.csv"`
+    );
+    const lines = [csvLine(CSV_COLUMNS)];
+    for (const item of holdings)
+      lines.push(
+        csvLine([
+          item.employeeName,
+          item.employeeEmail,
+          item.assetName,
+          item.assetType,
+          1,
+          item.assetTag,
+          item.serialNumber,
+          item.status,
+          item.requestDate,
+          item.assignmentDate,
+          item.hrName || item.hrEmail,
+        ])
+      );
+    for (const line of pending)
+      lines.push(
+        csvLine([
+          line.requesterName,
+          line.requesterEmail,
+          line.assetName,
+          line.assetType,
+          line.quantity,
+          null,
+          null,
+          line.status,
+          line.requestDate,
+          null,
+          null,
+        ])
+      );
+    res.send(lines.join(""));
+  }
+
+  // HR: the whole company, or one employee with ?employee=<email>.
+  // Employees: their own holdings. ?format=pdf (default) or csv.
+  router.get(
+    "/reports/holdings",
+    verifyToken,
+    validate({
+      query: {
+        format: { type: "string", enum: REPORT_FORMATS, default: "pdf" },
+        employee: { type: "email" },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const user = req.currentUser;
+        let employeeEmail = req.query.employee || null;
+        if (user.role !== "hr") {
+          if (employeeEmail && employeeEmail !== user.email)
+            return sendError(
+              res,
+              403,
+              "You can only report on your own assets"
+            );
+          employeeEmail = user.email;
+        }
+
+        const report = await loadHoldings(req, employeeEmail);
+        const generatedAt = clock.now();
+        const subject = employeeEmail
+          ? employeeEmail.replace(/[^a-zA-Z0-9._-]/g, "_")
+          : "company";
+        const filename = `holdings-${subject}-${formatDate(generatedAt)}`;
+
+        if (req.query.format === "csv") return sendCsv(res, filename, report);
+
+        const companyNames = new Set(
+          report.holdings.map((item) => item.companyName).filter(Boolean)
+        );
+        if (user.role === "hr") companyNames.add(user.companyName);
+
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${filename}.pdf"`
+        );
+        writeHoldingsReportPdf(res, {
+          title: employeeEmail
+            ? `Assets held by ${employeeEmail}`
+            : "Assets held by all employees",
+          companyName: [...companyNames].join(", ") || "-",
+          generatedAt,
+          ...report,
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return sendError(res, err.status, err.message, err);
+        console.error("holdings report err:", err);
+        sendError(res, 500, "Failed to generate report");
+      }
+    }
+  );
+
+  // ------------------ LOW STOCK ------------------
+  // HR: assets at or below their reorder level, emptiest first, with the
+  // units waitlisted lines are waiting for and when each was last
+  // restocked. ?format=json (default) or csv.
+  const LOW_STOCK_COLUMNS = [
+    "sku",
+    "productName",
+    "productType",
+    "availableQuantity",
+    "productQuantity",
+    "reorderLevel",
+    "waitlisted",
+    "lastRestockedAt",
+  ];
+
+  router.get(
+    "/reports/low-stock",
+    verifyToken,
+    verifyHR,
+    validate({
+      query: {
+        format: { type: "string", enum: ["json", "csv"], default: "json" },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const assets = await req.tenant
+          .collection("assets")
+          .find(lowStockFilter)
+          .sort({ availableQuantity: 1, productName: 1 })
+          .toArray();
+        const ids = assets.map((asset) => asset._id);
+
+        const [waiting, restocked] = await Promise.all([
+          req.tenant
+            .collection("requests")
+            .aggregate([
+              { $match: { requestStatus: { $in: OPEN_STATUSES } } },
+              { $unwind: "$items" },
+              {
+                $match: {
+                  "items.status": "waitlisted",
+                  "items.assetId": { $in: ids.map(String) },
+                },
+              },
+              {
+                $group: {
+                  _id: "$items.assetId",
+                  units: { $sum: "$items.quantity" },
+                },
+              },
+            ])
+            .toArray(),
+          req.tenant
+            .collection("restocks")
+            .aggregate([
+              { $match: { assetId: { $in: ids } } },
+              { $group: { _id: "$assetId", last: { $max: "$purchasedAt" } } },
+            ])
+            .toArray(),
+        ]);
+        const waitlisted = new Map(waiting.map((row) => [row._id, row.units]));
+        const lastRestocked = new Map(
+          restocked.map((row) => [row._id.toString(), row.last])
+        );
+
+        const lowStock = assets.map((asset) => {
+          const id = asset._id.toString();
+          return {
+            assetId: asset._id,
+            sku: asset.sku || null,
+            productName: asset.productName,
+            productType: asset.productType,
+            availableQuantity: asset.availableQuantity,
+            productQuantity: asset.productQuantity,
+            reorderLevel: reorderLevelOf(asset),
+            waitlisted: waitlisted.get(id) || 0,
+            lastRestockedAt: lastRestocked.get(id) || null,
+          };
+        });
+
+        if (req.query.format === "json") return res.json({ lowStock });
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="low-stock-${formatDate(clock.now())}.csv"`
+        );
+        res.send(
+          [
+            csvLine(LOW_STOCK_COLUMNS),
+            ...lowStock.map((row) =>
+              csvLine(LOW_STOCK_COLUMNS.map((column) => row[column]))
+            ),
+          ].join("")
+        );
+      } catch (err) {
+        console.error("low stock report err:", err);
+        sendError(res, 500, "Failed to generate report");
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createReportsRouter };
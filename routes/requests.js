@@ -0,0 +1,756 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { HttpError, sendError } = require("../errors");
+const { requestEvent } = require("../events");
+const { parseListQuery, runListQuery } = require("../listQuery");
+const {
+  REQUEST_STATUSES,
+  OPEN_LINE_STATUSES,
+  OPEN_STATUSES,
+  MAX_REQUEST_LINES,
+  MAX_LINE_QUANTITY,
+  newLine,
+  describeLines,
+  requestStatusOf,
+} = require("../requestLines");
+const { validate, idParam } = require("../validate");
+
+function createRequestsRouter(ctx) {
+  const {
+    db,
+    client,
+    clock,
+    verifyToken,
+    verifyHR,
+    audit,
+    publishEvent,
+    syncAssetQuantities,
+    alertLowStock,
+    releaseWaitlist,
+    unitsFreeForRequests,
+    lockAsset,
+  } = ctx;
+  const users = db.collection("users");
+  const requests = db.collection("requests");
+  const router = express.Router();
+
+  // ------------------ REQUESTS ------------------
+
+  const NOTE = { type: "string", max: 500 };
+
+  // An employee asks for one asset ({ assetId }) or for several at once
+  // ({ items: [{ assetId, quantity }] }). Every asset must belong to the
+  // same company. Lines for assets without enough stock, once approved
+  // bookings have had theirs, are waitlisted.
+  router.post(
+    "/requests",
+    verifyToken,
+    validate({
+      body: {
+        assetId: { type: "objectId" },
+        items: {
+          type: "array",
+          min: 1,
+          max: MAX_REQUEST_LINES,
+          items: {
+            type: "object",
+            fields: {
+              assetId: { type: "objectId", required: true },
+              quantity: {
+                type: "integer",
+                min: 1,
+                max: MAX_LINE_QUANTITY,
+                default: 1,
+              },
+            },
+          },
+        },
+        note: { ...NOTE, default: "" },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const { note } = req.body;
+        const wanted =
+          req.body.items ||
+          (req.body.assetId
+            ? [{ assetId: req.body.assetId, quantity: 1 }]
+            : []);
+        if (wanted.length === 0)
+          return sendError(res, 400, "Ask for assetId or a list of items");
+
+        const ids = wanted.map((line) => line.assetId.toString());
+        if (new Set(ids).size !== ids.length)
+          return sendError(
+            res,
+            400,
+            "List each asset once; use quantity for more units"
+          );
+
+        const employee = req.currentUser;
+
+        const assets = await req.tenant
+          .collection("assets")
+          .find({ _id: { $in: wanted.map((line) => line.assetId) } })
+          .toArray();
+        const byId = new Map(
+          assets.map((asset) => [asset._id.toString(), asset])
+        );
+        if (ids.some((id) => !byId.has(id)))
+          return sendError(res, 404, "Asset not found");
+
+        const { companyId } = assets[0];
+        if (assets.some((asset) => !asset.companyId.equals(companyId)))
+          return sendError(
+            res,
+            400,
+            "All items must come from the same company"
+          );
+
+        const hr = await users.findOne({ role: "hr", companyId });
+
+        const items = [];
+        for (const line of wanted) {
+          const asset = byId.get(line.assetId.toString());
+          const free = await unitsFreeForRequests(req.tenant, asset);
+          items.push(newLine(asset, line.quantity, free));
+        }
+        const newRequest = {
+          ...describeLines(items),
+          items,
+          requesterName: employee.name,
+          requesterEmail: employee.email,
+          hrEmail: hr ? hr.email : null,
+          companyName: hr ? hr.companyName : null,
+          companyId,
+          requestDate: clock.now(),
+          requestStatus: requestStatusOf(items),
+          note,
+          processedBy: null,
+        };
+
+        const created = await req.tenant
+          .collection("requests")
+          .insertOne(newRequest);
+
+        await audit(req, {
+          action: "request.created",
+          entityType: "request",
+          entityId: created.insertedId,
+          companyId,
+          after: newRequest,
+        });
+        await publishEvent(
+          requestEvent("request.created", {
+            _id: created.insertedId,
+            ...newRequest,
+          })
+        );
+
+        const waitlisted = items.filter(
+          (line) => line.status === "waitlisted"
+        ).length;
+        res.json({
+          success: true,
+          message:
+            waitlisted > 0
+              ? `Request submitted; ${waitlisted} item(s) are waitlisted until restocked`
+              : "Request submitted successfully",
+          requestId: created.insertedId,
+          requestStatus: newRequest.requestStatus,
+          waitlisted,
+        });
+      } catch (err) {
+        console.error("Request creation error:", err);
+        sendError(res, 500, "Failed to submit request");
+      }
+    }
+  );
+
+  router.get("/requests", verifyToken, async (req, res) => {
+    try {
+      const userEmail = req.currentUser.email;
+      const myRequests = await requests
+        .find({ requesterEmail: userEmail })
+        .toArray();
+      res.json(myRequests);
+    } catch (err) {
+      console.error("Fetch requests error:", err);
+      sendError(res, 500, "Failed to load requests");
+    }
+  });
+
+  const MY_REQUEST_LIST = {
+    search: ["assetName"],
+    filters: {
+      requestStatus: { values: REQUEST_STATUSES },
+      productType: {
+        field: "items.assetType",
+        values: ["Returnable", "Non-returnable"],
+      },
+    },
+    dateField: "requestDate",
+    sortable: {
+      requestDate: "requestDate",
+      assetName: "assetName",
+      requestStatus: "requestStatus",
+    },
+    defaultSort: "-requestDate",
+  };
+
+  const HR_REQUEST_LIST = {
+    ...MY_REQUEST_LIST,
+    search: ["assetName", "requesterName", "requesterEmail"],
+    sortable: { ...MY_REQUEST_LIST.sortable, requesterName: "requesterName" },
+  };
+
+  // GET /requests/my
+  router.get("/requests/my", verifyToken, async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, MY_REQUEST_LIST);
+      const { items, ...pageInfo } = await runListQuery(
+        requests,
+        { requesterEmail: req.currentUser.email },
+        list
+      );
+      res.json({ requests: items, ...pageInfo });
+    } catch (err) {
+      if (err instanceof HttpError)
+        return sendError(res, err.status, err.message, err);
+      console.error("get my requests err:", err);
+      sendError(res, 500, "Fetch failed");
+    }
+  });
+
+  // PUT /requests/:id
+  router.put(
+    "/requests/:id",
+    verifyToken,
+    validate({
+      params: idParam,
+      body: { note: { ...NOTE, required: true } },
+    }),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { note } = req.body;
+
+        const before = await requests.findOneAndUpdate(
+          { _id: id, requesterEmail: req.currentUser.email },
+          { $set: { note } }
+        );
+        const changed = before && before.note !== note;
+
+        if (changed)
+          await audit(req, {
+            action: "request.note_updated",
+            entityType: "request",
+            entityId: before._id,
+            companyId: before.companyId,
+            before: { note: before.note },
+            after: { note },
+          });
+
+        res.json({
+          success: true,
+          message: changed ? "Note updated" : "Note unchanged",
+        });
+      } catch (err) {
+        console.error("Update request error:", err);
+        sendError(res, 500, "Update failed");
+      }
+    }
+  );
+
+  // DELETE /requests/:id: the requester withdraws a request nothing has
+  // been handed over for yet. The units its pending lines held back are
+  // offered to the waitlist.
+  router.delete(
+    "/requests/:id",
+    verifyToken,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        const own = {
+          _id: req.params.id,
+          requesterEmail: req.currentUser.email,
+        };
+        const deleted = await requests.findOneAndDelete({
+          ...own,
+          requestStatus: { $in: OPEN_STATUSES },
+          "items.status": { $ne: "approved" },
+        });
+        if (!deleted) {
+          if (!(await requests.findOne(own)))
+            return sendError(res, 404, "Request not found");
+          return sendError(
+            res,
+            409,
+            "Request has approved items and can no longer be deleted"
+          );
+        }
+
+        await audit(req, {
+          action: "request.deleted",
+          entityType: "request",
+          entityId: deleted._id,
+          companyId: deleted.companyId,
+          before: deleted,
+        });
+        for (const line of deleted.items)
+          if (line.status === "pending")
+            await releaseWaitlist(req.tenant, new ObjectId(line.assetId));
+        res.json({ success: true });
+      } catch (err) {
+        console.error("delete request err:", err);
+        sendError(res, 500, "Delete failed");
+      }
+    }
+  );
+
+  // HR: fetch all requests
+  router.get("/requests/hr", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const list = parseListQuery(req.query, HR_REQUEST_LIST);
+      const { items, ...pageInfo } = await runListQuery(
+        req.tenant.collection("requests"),
+        {},
+        list
+      );
+      res.json({ requests: items, ...pageInfo });
+    } catch (err) {
+      if (err instanceof HttpError)
+        return sendError(res, err.status, err.message, err);
+      console.error("HR requests fetch error:", err);
+      sendError(res, 500, "Fetch requests failed");
+    }
+  });
+
+  // HR: lines waiting for stock, longest waiting first
+  router.get("/hr/waitlist", verifyToken, verifyHR, async (req, res) => {
+    try {
+      const waitlist = await req.tenant
+        .collection("requests")
+        .aggregate([
+          { $match: { requestStatus: { $in: OPEN_STATUSES } } },
+          { $unwind: "$items" },
+          { $match: { "items.status": "waitlisted" } },
+          { $sort: { requestDate: 1, _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              requestId: "$_id",
+              lineId: "$items.lineId",
+              assetId: "$items.assetId",
+              assetName: "$items.assetName",
+              quantity: "$items.quantity",
+              requesterName: 1,
+              requesterEmail: 1,
+              requestDate: 1,
+            },
+          },
+        ])
+        .toArray();
+      res.json({ waitlist });
+    } catch (err) {
+      console.error("get waitlist err:", err);
+      sendError(res, 500, "Failed to load waitlist");
+    }
+  });
+
+  // ------------------ DECISIONS (HR) ------------------
+  // Reserve `quantity` units for one line and hand each to the requester
+  // as its own assignment. Named units (`unitIds`) are taken first, any
+  // available unit after that; the status guard makes concurrent approvals
+  // of the last unit conflict instead of overselling it. Units approved
+  // bookings need are not handed over.
+  async function assignLine(req, requestDoc, line, decision, session) {
+    const hr = req.currentUser;
+    const tenantUnits = req.tenant.collection("assetUnits");
+    const tenantAssigned = req.tenant.collection("assignedAssets");
+
+    const asset = await req.tenant
+      .collection("assets")
+      .findOne({ _id: new ObjectId(line.assetId) }, { session });
+    if (!asset) throw new HttpError(404, `Asset not found: ${line.assetName}`);
+    // conflicts with a concurrent booking approval of the same asset
+    await lockAsset(asset._id, session);
+    const free = await unitsFreeForRequests(req.tenant, asset, session);
+    if (free < decision.quantity)
+      throw new HttpError(
+        400,
+        `Cannot approve: only ${free} unit(s) of ${asset.productName} are free to hand over`
+      );
+
+    const assignmentIds = [];
+    for (let i = 0; i < decision.quantity; i++) {
+      const unitId = decision.unitIds[i];
+      const unitFilter = { assetId: asset._id, status: "available" };
+      if (unitId) unitFilter._id = unitId;
+      const unit = await tenantUnits.findOneAndUpdate(
+        unitFilter,
+        {
+          $set: { status: "assigned", assignedTo: requestDoc.requesterEmail },
+        },
+        { session, returnDocument: "after" }
+      );
+      if (!unit)
+        throw new HttpError(
+          400,
+          unitId
+            ? "Cannot approve: unit is not available"
+            : `Cannot approve: ${asset.productName} is out of stock`
+        );
+
+      const assignment = await tenantAssigned.insertOne(
+        {
+          assetId: line.assetId,
+          assetName: asset.productName,
+          assetImage: asset.productImage || "",
+          assetType: asset.productType,
+          unitId: unit._id,
+          serialNumber: unit.serialNumber,
+          assetTag: unit.assetTag,
+          handoverCondition: unit.condition,
+          employeeEmail: requestDoc.requesterEmail,
+          employeeName: requestDoc.requesterName,
+          hrEmail: hr.email,
+          hrName: hr.name,
+          companyName: hr.companyName,
+          companyId: hr.companyId,
+          requestId: requestDoc._id,
+          lineId: line.lineId,
+          assignmentDate: clock.now(),
+          returnDate: null,
+          status: "assigned",
+        },
+        { session }
+      );
+      assignmentIds.push(assignment.insertedId);
+    }
+    await syncAssetQuantities(asset._id, session);
+    return { assignmentIds, asset };
+  }
+
+  // Decide lines of the open request req.params.id in one transaction.
+  // `decide(line, request)` is asked about every line and returns null to
+  // leave it alone, { status: "rejected" }, or { status: "approved",
+  // quantity, unitIds }. With `waitlistIfShort` an approval that stock
+  // cannot cover waitlists the line instead of failing, as long as some
+  // other line is decided. The request's status is then derived from its
+  // lines, and waitlisted lines are offered whatever pending lines that
+  // were decided no longer hold.
+  async function decideLines(req, decide) {
+    const hr = req.currentUser;
+    const tenantRequests = req.tenant.collection("requests");
+    const session = client.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        const requestDoc = await tenantRequests.findOne(
+          { _id: req.params.id },
+          { session }
+        );
+        if (!requestDoc) throw new HttpError(404, "Request not found");
+        if (!OPEN_STATUSES.includes(requestDoc.requestStatus))
+          throw new HttpError(400, "Request not pending");
+
+        const now = clock.now();
+        let decided = 0;
+        const items = [];
+        const stockBefore = [];
+        const handedOver = [];
+        const unreserved = new Set();
+        const short = [];
+        for (const line of requestDoc.items) {
+          const decision = decide(line, requestDoc);
+          if (!decision) {
+            items.push(line);
+            continue;
+          }
+          if (decision.status === "approved" && decision.waitlistIfShort) {
+            const asset = await req.tenant
+              .collection("assets")
+              .findOne({ _id: new ObjectId(line.assetId) }, { session });
+            const free = asset
+              ? await unitsFreeForRequests(req.tenant, asset, session)
+              : decision.quantity;
+            if (free < decision.quantity) {
+              short.push(line.assetName);
+              items.push({ ...line, status: "waitlisted" });
+              if (line.status === "pending") unreserved.add(line.assetId);
+              continue;
+            }
+          }
+          decided++;
+          if (line.status === "pending") unreserved.add(line.assetId);
+          if (decision.status === "rejected") {
+            items.push({
+              ...line,
+              status: "rejected",
+              approvedQuantity: 0,
+              decidedAt: now,
+            });
+            continue;
+          }
+
+          // Assets only go to members of the company
+          const membership = await req.tenant
+            .collection("employeeAffiliations")
+            .findOne(
+              { employeeEmail: requestDoc.requesterEmail, status: "active" },
+              { session }
+            );
+          if (!membership)
+            throw new HttpError(
+              400,
+              "Cannot approve: employee is not a member of this company"
+            );
+
+          const { assignmentIds, asset } = await assignLine(
+            req,
+            requestDoc,
+            line,
+            decision,
+            session
+          );
+          stockBefore.push(asset);
+          handedOver.push(...assignmentIds);
+          items.push({
+            ...line,
+            status: "approved",
+            approvedQuantity: decision.quantity,
+            assignmentIds,
+            decidedAt: now,
+          });
+        }
+        if (decided === 0 && short.length > 0)
+          throw new HttpError(
+            400,
+            `Cannot approve: not enough ${short.join(", ")} in stock`
+          );
+        // only a single-line decision can miss: its line is not here
+        if (decided === 0) throw new HttpError(404, "Line not found");
+
+        const requestStatus = requestStatusOf(items);
+        const update = {
+          items,
+          requestStatus,
+          processedBy: hr.name,
+          hrEmail: hr.email,
+        };
+        if (!OPEN_STATUSES.includes(requestStatus)) update.approvalDate = now;
+
+        const saved = await tenantRequests.updateOne(
+          { _id: requestDoc._id, requestStatus: requestDoc.requestStatus },
+          { $set: update },
+          { session }
+        );
+        if (saved.modifiedCount === 0)
+          throw new HttpError(400, "Request not pending");
+        result = {
+          requestDoc,
+          requestStatus,
+          items,
+          stockBefore,
+          handedOver,
+          unreserved,
+        };
+      });
+
+      const {
+        requestDoc,
+        requestStatus,
+        items,
+        stockBefore,
+        handedOver,
+        unreserved,
+      } = result;
+      await audit(req, {
+        action: OPEN_STATUSES.includes(requestStatus)
+          ? "request.lines_decided"
+          : `request.${requestStatus}`,
+        entityType: "request",
+        entityId: requestDoc._id,
+        before: {
+          requestStatus: requestDoc.requestStatus,
+          items: requestDoc.items,
+        },
+        after: { requestStatus, items },
+      });
+      await alertLowStock(req.tenant, stockBefore);
+      // The requester hears about the request once every line is decided
+      if (!OPEN_STATUSES.includes(requestStatus))
+        await publishEvent(
+          requestEvent(
+            `request.${requestStatus}`,
+            { ...requestDoc, requestStatus },
+            { assignmentIds: items.flatMap((line) => line.assignmentIds) }
+          )
+        );
+      for (const assetId of unreserved)
+        await releaseWaitlist(req.tenant, new ObjectId(assetId));
+
+      // only what this call handed over; earlier decisions reported theirs
+      return { requestStatus, items, assignmentIds: handedOver };
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  function sendDecisionError(res, err) {
+    if (err instanceof HttpError)
+      return sendError(res, err.status, err.message, err);
+    console.error("decide request err:", err);
+    sendError(res, 500, "Update failed");
+  }
+
+  const isOpen = (line) => OPEN_LINE_STATUSES.includes(line.status);
+  const rejectOpen = (line) => (isOpen(line) ? { status: "rejected" } : null);
+
+  // Approve in full every open line the stock can cover, waitlisted ones
+  // included when the stock has come in; lines it cannot cover stay or
+  // become waitlisted. `unitId` picks the unit to hand over and only
+  // applies to a request for a single unit. Registered before the generic
+  // /requests/:id/:action route so it is not shadowed by it.
+  router.patch(
+    "/requests/:id/approve",
+    verifyToken,
+    verifyHR,
+    validate({
+      params: idParam,
+      body: { unitId: { type: "objectId" } },
+    }),
+    async (req, res) => {
+      try {
+        const { unitId } = req.body;
+        const decision = await decideLines(req, (line, requestDoc) => {
+          if (!isOpen(line)) return null;
+          const units = requestDoc.items
+            .filter(isOpen)
+            .reduce((sum, other) => sum + other.quantity, 0);
+          if (unitId && units !== 1)
+            throw new HttpError(
+              400,
+              "unitId only applies to a request for a single unit"
+            );
+          return {
+            status: "approved",
+            quantity: line.quantity,
+            unitIds: unitId ? [unitId] : [],
+            waitlistIfShort: true,
+          };
+        });
+
+        const waitlisted = decision.items.filter(
+          (line) => line.status === "waitlisted"
+        ).length;
+        res.json({
+          success: true,
+          message:
+            waitlisted > 0
+              ? `Approved what is in stock; ${waitlisted} item(s) are waitlisted until restocked`
+              : "Request approved and assets assigned",
+          requestStatus: decision.requestStatus,
+          waitlisted,
+          assignmentId: decision.assignmentIds[0] || null,
+          assignmentIds: decision.assignmentIds,
+        });
+      } catch (err) {
+        sendDecisionError(res, err);
+      }
+    }
+  );
+
+  // HR: decide one line. Approving fewer units than asked for reduces the
+  // line; the rest of it is not handed over.
+  router.patch(
+    "/requests/:id/items/:lineId",
+    verifyToken,
+    verifyHR,
+    validate({
+      params: {
+        id: { type: "objectId", required: true },
+        lineId: { type: "objectId", required: true },
+      },
+      body: {
+        decision: {
+          type: "string",
+          required: true,
+          enum: ["approve", "reject"],
+        },
+        quantity: { type: "integer", min: 1, max: MAX_LINE_QUANTITY },
+        unitIds: {
+          type: "array",
+          max: MAX_LINE_QUANTITY,
+          items: { type: "objectId" },
+          default: [],
+        },
+      },
+    }),
+    async (req, res) => {
+      try {
+        const { decision, unitIds } = req.body;
+        const result = await decideLines(req, (line) => {
+          if (!line.lineId.equals(req.params.lineId)) return null;
+          if (!isOpen(line)) throw new HttpError(400, "Line already decided");
+          if (decision === "reject") return { status: "rejected" };
+
+          const quantity = req.body.quantity ?? line.quantity;
+          if (quantity > line.quantity)
+            throw new HttpError(
+              400,
+              `Cannot approve more than the ${line.quantity} requested`
+            );
+          if (unitIds.length > quantity)
+            throw new HttpError(400, "More units named than approved");
+          return { status: "approved", quantity, unitIds };
+        });
+
+        res.json({ success: true, ...result });
+      } catch (err) {
+        sendDecisionError(res, err);
+      }
+    }
+  );
+
+  // Reject via PATCH /requests/:id/reject: every open line is rejected
+  router.patch(
+    "/requests/:id/:action",
+    verifyToken,
+    verifyHR,
+    validate({
+      params: {
+        id: { type: "objectId", required: true },
+        action: { type: "string", required: true, enum: ["reject"] },
+      },
+    }),
+    async (req, res) => {
+      try {
+        await decideLines(req, rejectOpen);
+        res.json({ success: true });
+      } catch (err) {
+        sendDecisionError(res, err);
+      }
+    }
+  );
+
+  router.post(
+    "/requests/:id/reject",
+    verifyToken,
+    verifyHR,
+    validate({ params: idParam }),
+    async (req, res) => {
+      try {
+        await decideLines(req, rejectOpen);
+        res.json({ success: true, message: "Request rejected" });
+      } catch (err) {
+        sendDecisionError(res, err);
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createRequestsRouter };
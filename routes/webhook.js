@@ -0,0 +1,49 @@
+const express = require("express");
+
+// Stripe delivers events here. The signature check needs the raw body, so
+// createApp mounts this router before express.json().
+function createWebhookRouter(ctx) {
+  const { stripe, config, recordStripeEvent, processStripeEvent } = ctx;
+  const router = express.Router();
+
+  router.post(
+    "/webhook",
+    express.raw({ type: "application/json" }),
+    async (req, res) => {
+      if (!stripe || !config.stripeWebhookSecret) {
+        return res.status(400).send("Webhook not configured");
+      }
+
+      const sig = req.headers["stripe-signature"];
+      let event;
+
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.body,
+          sig,
+          config.stripeWebhookSecret
+        );
+      } catch (err) {
+        console.error("Webhook signature mismatch:", err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+      }
+
+      try {
+        await recordStripeEvent(event);
+        const outcome = await processStripeEvent(event.id);
+        // a failed event is kept for replay; Stripe will also retry it
+        if (outcome.status === "failed")
+          return res.status(500).send("Webhook handling failed");
+      } catch (err) {
+        console.error("Webhook handling error:", err);
+        return res.status(500).send("Webhook handling failed");
+      }
+
+      res.json({ received: true });
+    }
+  );
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
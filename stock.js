@@ -0,0 +1,110 @@
+const { requestEvent } = require("./events");
+const { OPEN_STATUSES, requestStatusOf } = require("./requestLines");
+
+// Stock levels: when an asset counts as low, alerting HR when approvals
+// take it there, and releasing waitlisted request lines once units come
+// back. Every asset may set its own reorderLevel; the rest use
+// config.lowStockLevel.
+
+function createStock({ config, publishEvent, unitsFreeForRequests }) {
+  function reorderLevelOf(asset) {
+    return asset.reorderLevel ?? config.lowStockLevel;
+  }
+
+  // Assets at or below their reorder level, out of stock included
+  const level = { $ifNull: ["$reorderLevel", config.lowStockLevel] };
+  const lowStockFilter = { $expr: { $lte: ["$availableQuantity", level] } };
+
+  // Query clauses for the asset list's ?stockStatus= filter
+  const stockStatusFilters = {
+    in_stock: { $expr: { $gt: ["$availableQuantity", level] } },
+    low_stock: { availableQuantity: { $gt: 0 }, ...lowStockFilter },
+    out_of_stock: { availableQuantity: { $lte: 0 } },
+  };
+
+  // Tell the company's HRs about every asset that `before` shows above its
+  // reorder level and that is now at or below it
+  async function alertLowStock(tenant, before) {
+    for (const asset of before) {
+      const threshold = reorderLevelOf(asset);
+      if (asset.availableQuantity <= threshold) continue;
+
+      const now = await tenant.collection("assets").findOne({ _id: asset._id });
+      if (!now || now.availableQuantity > threshold) continue;
+
+      await publishEvent({
+        type: "stock.low",
+        companyId: now.companyId,
+        roles: ["hr"],
+        data: {
+          assetId: now._id,
+          assetName: now.productName,
+          availableQuantity: now.availableQuantity,
+          reorderLevel: threshold,
+        },
+      });
+    }
+  }
+
+  // Put waitlisted lines for an asset back in front of HR, oldest request
+  // first, for as many units as are free. Units already asked for by
+  // pending lines, or needed by approved bookings, are not free.
+  async function releaseWaitlist(tenant, assetId) {
+    const asset = await tenant.collection("assets").findOne({ _id: assetId });
+    if (!asset) return;
+    const id = asset._id.toString();
+    let free = await unitsFreeForRequests(tenant, asset);
+
+    const open = await tenant
+      .collection("requests")
+      .find({ requestStatus: { $in: OPEN_STATUSES }, "items.assetId": id })
+      .sort({ requestDate: 1, _id: 1 })
+      .toArray();
+
+    const released = [];
+    for (const request of open) {
+      let changed = null;
+      const items = request.items.map((line) => {
+        if (line.assetId !== id) return line;
+        if (line.status === "pending") free -= line.quantity;
+        if (line.status !== "waitlisted" || line.quantity > free) return line;
+        free -= line.quantity;
+        changed = line;
+        return { ...line, status: "pending" };
+      });
+      if (!changed) continue;
+
+      const requestStatus = requestStatusOf(items);
+      const saved = await tenant
+        .collection("requests")
+        .updateOne(
+          { _id: request._id, requestStatus: request.requestStatus },
+          { $set: { items, requestStatus } }
+        );
+      if (saved.modifiedCount > 0)
+        released.push({
+          request: { ...request, requestStatus },
+          line: changed,
+        });
+    }
+
+    for (const { request, line } of released)
+      await publishEvent(
+        requestEvent("request.back_in_stock", request, {
+          assetName: line.assetName,
+          lineId: line.lineId,
+          quantity: line.quantity,
+        })
+      );
+  }
+
+  return {
+    reorderLevelOf,
+    lowStockFilter,
+    stockStatusFilters,
+    alertLowStock,
+    releaseWaitlist,
+  };
+}
+
+module.exports = { createStock };
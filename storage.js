@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+
+// A storage is anything with `save(key, buffer)`, `open(key)` and
+// `remove(key)`. Keys are slash-separated paths such as
+// "assets/<companyId>/<id>.webp". Pick one with STORAGE_DRIVER=local|memory.
+
+// Files under a directory on the local disk
+function createLocalStorage(dir = process.env.UPLOAD_DIR || "./uploads") {
+  const root = path.resolve(dir);
+
+  // Refuse keys that would escape the upload directory
+  function fileFor(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep))
+      throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  }
+
+  return {
+    save: async (key, buffer) => {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return { key };
+    },
+    // A readable stream of the stored bytes, or null when there is none
+    open: async (key) => {
+      const file = fileFor(key);
+      try {
+        await fs.promises.access(file);
+      } catch (err) {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+    // Removing a missing key is not an error
+    remove: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+// Keeps files in memory; tests read them back from `files`
+function createMemoryStorage() {
+  const files = new Map();
+  return {
+    files,
+    save: async (key, buffer) => {
+      files.set(key, buffer);
+      return { key };
+    },
+    open: async (key) =>
+      files.has(key) ? Readable.from(files.get(key)) : null,
+    remove: async (key) => {
+      files.delete(key);
+    },
+  };
+}
+
+function createStorage() {
+  const kind = process.env.STORAGE_DRIVER || "local";
+  if (kind === "local") return createLocalStorage();
+  if (kind === "memory") return createMemoryStorage();
+  throw new Error(`Unknown STORAGE_DRIVER: ${kind}`);
+}
+
+module.exports = { createStorage, createLocalStorage, createMemoryStorage };
@@ -0,0 +1,90 @@
+// Every asset, restock, request, booking, assignment, incident, affiliation
+// and payment carries a companyId. Routes never touch those collections
+// directly; they go through req.tenant.collection(name), which confines
+// every query to the caller's companies.
+const TENANT_COLLECTIONS = [
+  "assets",
+  "assetUnits",
+  "restocks",
+  "requests",
+  "bookings",
+  "assignedAssets",
+  "incidents",
+  "employeeAffiliations",
+  "invitations",
+  "payments",
+];
+
+// Wrap a collection so reads and writes only ever see the given companies
+function scopeToTenant(collection, companyIds) {
+  const scope = { companyId: { $in: companyIds } };
+  const withScope = (filter = {}) => ({ $and: [filter, scope] });
+  const ownsCompany = (companyId) =>
+    companyId && companyIds.some((id) => id.equals(companyId));
+
+  return {
+    find: (filter, options) => collection.find(withScope(filter), options),
+    findOne: (filter, options) =>
+      collection.findOne(withScope(filter), options),
+    countDocuments: (filter, options) =>
+      collection.countDocuments(withScope(filter), options),
+    updateOne: (filter, update, options) =>
+      collection.updateOne(withScope(filter), update, options),
+    updateMany: (filter, update, options) =>
+      collection.updateMany(withScope(filter), update, options),
+    deleteOne: (filter, options) =>
+      collection.deleteOne(withScope(filter), options),
+    deleteMany: (filter, options) =>
+      collection.deleteMany(withScope(filter), options),
+    aggregate: (pipeline = [], options) =>
+      collection.aggregate([{ $match: scope }, ...pipeline], options),
+    findOneAndUpdate: (filter, update, options) =>
+      collection.findOneAndUpdate(withScope(filter), update, options),
+    insertMany: (docs, options) => {
+      for (const doc of docs) {
+        if (!ownsCompany(doc.companyId))
+          throw new Error("Cannot write outside the caller's company");
+      }
+      return collection.insertMany(docs, options);
+    },
+    insertOne: (doc, options) => {
+      // a caller with a single company writes into it by default
+      if (!doc.companyId && companyIds.length === 1)
+        doc.companyId = companyIds[0];
+      if (!ownsCompany(doc.companyId))
+        throw new Error("Cannot write outside the caller's company");
+      return collection.insertOne(doc, options);
+    },
+  };
+}
+
+// Resolve the companies a user may act on: an HR owns exactly one company,
+// an employee belongs to every company with an active affiliation
+async function resolveTenant(db, user) {
+  const companyIds = [];
+
+  if (user.role === "hr") {
+    if (user.companyId) companyIds.push(user.companyId);
+  } else {
+    const links = await db
+      .collection("employeeAffiliations")
+      .find({ employeeEmail: user.email, status: "active" })
+      .project({ companyId: 1 })
+      .toArray();
+    for (const link of links) {
+      if (link.companyId) companyIds.push(link.companyId);
+    }
+  }
+
+  return {
+    companyId: companyIds[0] || null,
+    companyIds,
+    collection: (name) => {
+      if (!TENANT_COLLECTIONS.includes(name))
+        throw new Error(`${name} is not a tenant collection`);
+      return scopeToTenant(db.collection(name), companyIds);
+    },
+  };
+}
+
+module.exports = { TENANT_COLLECTIONS, scopeToTenant, resolveTenant };
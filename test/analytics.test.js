@@ -0,0 +1,128 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestApp } = require("./helpers");
+
+describe("analytics", () => {
+  const ctx = useTestApp();
+  let laptopId;
+
+  // Two laptops: one handed over, one damaged, two on the shelf. One mouse,
+  // asked for and turned down.
+  before(async () => {
+    const standard = await ctx.db
+      .collection("packages")
+      .findOne({ name: "Standard" });
+    await ctx.db
+      .collection("users")
+      .updateOne(
+        { email: "hr@test.com" },
+        { $set: { packageId: standard._id, subscription: "Standard" } }
+      );
+
+    const laptop = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Laptop",
+        productType: "Returnable",
+        productQuantity: 4,
+      })
+      .expect(200);
+    laptopId = laptop.body.insertedId;
+    const mouse = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Mouse",
+        productType: "Non-returnable",
+        productQuantity: 1,
+      })
+      .expect(200);
+
+    const laptopRequest = await ctx.employee
+      .post("/requests")
+      .send({ items: [{ assetId: laptopId, quantity: 1 }] })
+      .expect(200);
+    // approved twelve minutes later, inside the access token's lifetime
+    ctx.clock.advance(12 * 60 * 1000);
+    await ctx.hr
+      .patch(`/requests/${laptopRequest.body.requestId}/approve`)
+      .send({})
+      .expect(200);
+
+    const mouseRequest = await ctx.employee
+      .post("/requests")
+      .send({ items: [{ assetId: mouse.body.insertedId, quantity: 1 }] })
+      .expect(200);
+    await ctx.hr
+      .patch(`/requests/${mouseRequest.body.requestId}/reject`)
+      .send({})
+      .expect(200);
+
+    const units = await ctx.hr.get(`/assets/${laptopId}/units`).expect(200);
+    const spare = units.body.units.find((unit) => unit.status === "available");
+    await ctx.hr
+      .patch(`/assets/${laptopId}/units/${spare._id}`)
+      .send({ status: "damaged" })
+      .expect(200);
+  });
+
+  it("counts only handed-over units as in use", async () => {
+    const res = await ctx.hr.get("/analytics/stock-utilization").expect(200);
+    const laptop = res.body.assets.find((row) => row.productName === "Laptop");
+    assert.equal(laptop.total, 4);
+    assert.equal(laptop.available, 2);
+    assert.equal(laptop.inUse, 1);
+    assert.equal(laptop.utilization, 25);
+    assert.deepEqual(res.body.overall, {
+      total: 5,
+      inUse: 1,
+      utilization: 20,
+    });
+  });
+
+  it("splits assets and requests by type", async () => {
+    const res = await ctx.hr.get("/analytics/returnable-split").expect(200);
+    assert.deepEqual(res.body.split, [
+      {
+        productType: "Returnable",
+        assets: 1,
+        units: 4,
+        available: 2,
+        requests: 1,
+      },
+      {
+        productType: "Non-returnable",
+        assets: 1,
+        units: 1,
+        available: 1,
+        requests: 1,
+      },
+    ]);
+  });
+
+  it("ranks requested assets and times approvals", async () => {
+    const top = await ctx.hr.get("/analytics/top-requested").expect(200);
+    assert.deepEqual(
+      top.body.topRequested.map((row) => [row.assetName, row.approved]),
+      [
+        ["Laptop", 1],
+        ["Mouse", 0],
+      ]
+    );
+
+    const timing = await ctx.hr.get("/analytics/approval-time").expect(200);
+    assert.equal(timing.body.approvals, 1);
+    assert.equal(timing.body.averageHours, 0.2);
+  });
+
+  it("lists the assets each employee holds", async () => {
+    const res = await ctx.hr.get("/analytics/assets-per-employee").expect(200);
+    assert.deepEqual(res.body.employees, [
+      {
+        employeeEmail: "emp1@test.com",
+        employeeName: res.body.employees[0].employeeName,
+        assets: 1,
+        returnable: 1,
+      },
+    ]);
+  });
+});
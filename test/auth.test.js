@@ -0,0 +1,174 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp } = require("./helpers");
+
+describe("auth", () => {
+  const ctx = useTestApp();
+
+  it("registers an HR with a company and sends a verification mail", async () => {
+    const res = await request(ctx.app)
+      .post("/auth/register")
+      .send({
+        name: "New HR",
+        email: "newhr@test.com",
+        password: "secret123",
+        role: "hr",
+        companyName: "NewCo",
+      })
+      .expect(200);
+
+    assert.equal(res.body.user.role, "hr");
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+    assert.ok(ctx.mailer.sent.some((mail) => mail.to === "newhr@test.com"));
+
+    const me = await ctx.as(res.body.token).get("/me").expect(200);
+    assert.equal(me.body.user.companyName, "NewCo");
+    assert.equal(me.body.user.password, undefined);
+  });
+
+  it("escapes the user's name in verification and reset mails", async () => {
+    const name = '<a href="https://evil.test">Mallory</a>';
+    await request(ctx.app)
+      .post("/auth/register")
+      .send({
+        name,
+        email: "mallory@test.com",
+        password: "secret123",
+        role: "employee",
+      })
+      .expect(200);
+    await request(ctx.app)
+      .post("/auth/forgot-password")
+      .send({ email: "mallory@test.com" })
+      .expect(200);
+
+    const mails = ctx.mailer.sent.filter((m) => m.to === "mallory@test.com");
+    assert.equal(mails.length, 2);
+    for (const mail of mails) {
+      assert.ok(!mail.html.includes(name));
+      assert.ok(mail.html.includes("&lt;a href=&quot;https://evil.test&quot;"));
+    }
+  });
+
+  it("rejects an invalid body with the validation envelope", async () => {
+    const res = await request(ctx.app)
+      .post("/auth/register")
+      .send({ email: "not-an-email", role: "boss" })
+      .expect(400);
+
+    assert.equal(res.body.error.code, "validation_failed");
+    const fields = res.body.error.details.map((problem) => problem.field);
+    assert.ok(fields.includes("body.email"));
+    assert.ok(fields.includes("body.role"));
+  });
+
+  it("answers unknown routes with a JSON 404", async () => {
+    const res = await request(ctx.app).get("/no-such-route").expect(404);
+    assert.equal(res.body.error.code, "not_found");
+    assert.equal(res.body.error.message, "Cannot GET /no-such-route");
+  });
+
+  it("logs in and rejects a wrong password", async () => {
+    const token = await ctx.login("hr@test.com");
+    assert.ok(token);
+
+    const res = await request(ctx.app)
+      .post("/auth/login")
+      .send({ email: "hr@test.com", password: "wrong" })
+      .expect(400);
+    assert.equal(res.body.error.message, "Invalid credentials");
+  });
+
+  it("expires access tokens by the injected clock", async () => {
+    const employee = await ctx.signIn("emp1@test.com");
+    await employee.get("/me").expect(200);
+
+    ctx.clock.advance(60 * 60 * 1000);
+    await employee.get("/me").expect(401);
+  });
+
+  it("revokes the session on logout", async () => {
+    const employee = await ctx.signIn("emp1@test.com");
+    await employee.post("/auth/logout").expect(200);
+
+    const res = await employee.get("/me").expect(401);
+    assert.equal(res.body.error.message, "Session revoked");
+    await employee.get("/protected").expect(401);
+  });
+
+  it("rotates refresh tokens and revokes the session on reuse", async () => {
+    const login = await request(ctx.app)
+      .post("/auth/login")
+      .send({ email: "emp1@test.com", password: "123456" })
+      .expect(200);
+
+    const rotated = await request(ctx.app)
+      .post("/auth/refresh")
+      .send({ refreshToken: login.body.refreshToken })
+      .expect(200);
+    assert.ok(rotated.body.token);
+    assert.notEqual(rotated.body.refreshToken, login.body.refreshToken);
+    await ctx.as(rotated.body.token).get("/me").expect(200);
+
+    // the old token turning up again means it leaked
+    const reused = await request(ctx.app)
+      .post("/auth/refresh")
+      .send({ refreshToken: login.body.refreshToken })
+      .expect(401);
+    assert.equal(reused.body.error.message, "Refresh token reuse detected");
+
+    const me = await ctx.as(rotated.body.token).get("/me").expect(401);
+    assert.equal(me.body.error.message, "Session revoked");
+    await request(ctx.app)
+      .post("/auth/refresh")
+      .send({ refreshToken: rotated.body.refreshToken })
+      .expect(401);
+  });
+
+  it("logs out of every session at once", async () => {
+    const laptop = await ctx.signIn("emp1@test.com");
+    const phone = await request(ctx.app)
+      .post("/auth/login")
+      .send({ email: "emp1@test.com", password: "123456" })
+      .expect(200);
+
+    const res = await laptop.post("/auth/logout-all").expect(200);
+    assert.ok(res.body.revoked >= 2);
+
+    await laptop.get("/me").expect(401);
+    await ctx.as(phone.body.token).get("/me").expect(401);
+    await request(ctx.app)
+      .post("/auth/refresh")
+      .send({ refreshToken: phone.body.refreshToken })
+      .expect(401);
+  });
+
+  it("signs in with a Firebase ID token and asks new users for a role", async () => {
+    ctx.firebaseAdmin.users.set("google-token", {
+      uid: "firebase-uid-1",
+      email: "google@test.com",
+      email_verified: true,
+      name: "Google User",
+    });
+
+    const first = await request(ctx.app)
+      .post("/auth/firebase")
+      .send({ idToken: "google-token" })
+      .expect(200);
+    assert.equal(first.body.needsRole, true);
+
+    const second = await request(ctx.app)
+      .post("/auth/firebase")
+      .send({ idToken: "google-token", role: "employee" })
+      .expect(200);
+    assert.equal(second.body.user.role, "employee");
+    assert.ok(second.body.token);
+
+    await request(ctx.app)
+      .post("/auth/firebase")
+      .send({ idToken: "forged" })
+      .expect(401);
+  });
+});
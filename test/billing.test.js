@@ -0,0 +1,173 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { DAY_MS } = require("../config");
+const { useTestApp } = require("./helpers");
+
+describe("invoices and refunds", () => {
+  const ctx = useTestApp();
+  let hr;
+  let payments;
+
+  function deliver(event) {
+    return request(ctx.app)
+      .post("/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", "valid")
+      .send(JSON.stringify(event));
+  }
+
+  // Stripe bills the subscription for the period that starts now
+  async function payPeriod(n) {
+    const standard = await ctx.db
+      .collection("packages")
+      .findOne({ name: "Standard" });
+    ctx.stripe.subscriptions.records.set("sub_1", {
+      id: "sub_1",
+      customer: "cus_1",
+      status: "active",
+      current_period_end: Math.floor(
+        (ctx.clock.now().getTime() + 30 * DAY_MS) / 1000
+      ),
+      metadata: {
+        companyId: hr.companyId.toString(),
+        packageId: standard._id.toString(),
+      },
+    });
+    await deliver({
+      id: `evt_paid_${n}`,
+      type: "invoice.paid",
+      data: {
+        object: {
+          id: `in_${n}`,
+          subscription: "sub_1",
+          amount_paid: 800,
+          payment_intent: `pi_${n}`,
+          charge: `ch_${n}`,
+        },
+      },
+    }).expect(200);
+  }
+
+  function refunded(n) {
+    return {
+      id: `evt_refund_${n}`,
+      type: "charge.refunded",
+      data: {
+        object: {
+          id: `ch_${n}`,
+          payment_intent: `pi_${n}`,
+          amount: 800,
+          amount_refunded: 800,
+        },
+      },
+    };
+  }
+
+  // Two monthly payments, the second one today
+  before(async () => {
+    hr = await ctx.db.collection("users").findOne({ email: "hr@test.com" });
+    await payPeriod(1);
+    ctx.clock.advance(30 * DAY_MS);
+    await payPeriod(2);
+    ctx.hr = await ctx.signIn("hr@test.com");
+    ctx.employee = await ctx.signIn("emp1@test.com");
+
+    const res = await ctx.hr.get("/payments").expect(200);
+    payments = res.body.payments.sort((a, b) =>
+      a.invoiceNumber.localeCompare(b.invoiceNumber)
+    );
+  });
+
+  const binary = (req) =>
+    req.buffer(true).parse((res, done) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => done(null, Buffer.concat(chunks)));
+    });
+
+  it("numbers an invoice for every paid period", async () => {
+    assert.deepEqual(
+      payments.map((p) => [p.invoiceNumber, p.packageName, p.amount]),
+      [
+        ["INV-2026-000001", "Standard", 8],
+        ["INV-2026-000002", "Standard", 8],
+      ]
+    );
+    assert.equal(payments[0].companyName, hr.companyName);
+    assert.equal(payments[1].transactionId, "pi_2");
+  });
+
+  it("downloads an invoice as a PDF", async () => {
+    const res = await binary(
+      ctx.hr.get(`/payments/${payments[0]._id}/invoice`)
+    ).expect(200);
+    assert.equal(res.headers["content-type"], "application/pdf");
+    assert.equal(
+      res.headers["content-disposition"],
+      'attachment; filename="INV-2026-000001.pdf"'
+    );
+    assert.equal(res.body.subarray(0, 5).toString(), "%PDF-");
+
+    await ctx.hr.get("/payments/000000000000000000000000/invoice").expect(404);
+    await ctx.employee.get(`/payments/${payments[0]._id}/invoice`).expect(403);
+  });
+
+  it("requests refunds only within the refund window", async () => {
+    const late = await ctx.hr
+      .post(`/payments/${payments[0]._id}/refund`)
+      .send({})
+      .expect(400);
+    assert.match(late.body.error.message, /within 7 days/);
+
+    await ctx.hr
+      .post(`/payments/${payments[1]._id}/refund`)
+      .send({ reason: "Ordered by mistake" })
+      .expect(200);
+    const created = ctx.stripe.calls.filter(
+      ([name]) => name === "refunds.create"
+    );
+    assert.equal(created.length, 1);
+    assert.equal(created[0][1].payment_intent, "pi_2");
+
+    // a second click must not refund twice
+    await ctx.hr
+      .post(`/payments/${payments[1]._id}/refund`)
+      .send({})
+      .expect(400);
+  });
+
+  it("keeps the package when an earlier period is refunded", async () => {
+    await deliver(refunded(1)).expect(200);
+
+    const payment = await ctx.db
+      .collection("payments")
+      .findOne({ transactionId: "pi_1" });
+    assert.equal(payment.status, "refunded");
+    assert.equal(payment.refundedAmount, 8);
+
+    const current = await ctx.db.collection("users").findOne({ _id: hr._id });
+    assert.equal(current.subscription, "Standard");
+    assert.ok(
+      !ctx.stripe.calls.some(([name]) => name === "subscriptions.cancel")
+    );
+  });
+
+  it("falls back to Basic when the current period is refunded", async () => {
+    await deliver(refunded(2)).expect(200);
+
+    const current = await ctx.db.collection("users").findOne({ _id: hr._id });
+    assert.equal(current.subscription, "Basic");
+    assert.equal(current.subscriptionStatus, "refunded");
+    assert.ok(
+      ctx.stripe.calls.some(
+        ([name, id]) => name === "subscriptions.cancel" && id === "sub_1"
+      )
+    );
+
+    const res = await binary(
+      ctx.hr.get(`/payments/${payments[1]._id}/invoice`)
+    ).expect(200);
+    assert.equal(res.body.subarray(0, 5).toString(), "%PDF-");
+  });
+});
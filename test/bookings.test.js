@@ -0,0 +1,193 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { useTestApp } = require("./helpers");
+
+describe("bookings and availability", () => {
+  const ctx = useTestApp();
+  let projectorId;
+  let bookingId;
+  let cameraId;
+
+  before(async () => {
+    const projector = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Projector",
+        productType: "Returnable",
+        productQuantity: 2,
+      })
+      .expect(200);
+    projectorId = projector.body.insertedId;
+  });
+
+  function book(startDate, endDate, quantity) {
+    return ctx.employee.post("/bookings").send({
+      assetId: projectorId,
+      startDate,
+      endDate,
+      quantity,
+    });
+  }
+
+  it("refuses bookings in the past or backwards", async () => {
+    await book("2026-01-10", "2026-01-12", 1).expect(400);
+    await book("2026-01-22", "2026-01-20", 1).expect(400);
+    await book("2026-01-20", "2026-01-22", 3).expect(400);
+  });
+
+  it("refuses far-future ranges without building them", async () => {
+    const res = await book("2026-01-20", "+275760-09-12", 1).expect(400);
+    assert.match(res.body.error.message, /at most 31 days/);
+
+    const calendar = await ctx.employee
+      .get(`/assets/${projectorId}/availability`)
+      .query({ from: "2026-01-20", to: "+275760-09-12" })
+      .expect(400);
+    assert.match(calendar.body.error.message, /at most 92 days/);
+  });
+
+  it("holds units only once HR approves", async () => {
+    const first = await book("2026-01-20", "2026-01-22", 2).expect(200);
+    bookingId = first.body.bookingId;
+    const second = await book("2026-01-21", "2026-01-23", 1).expect(200);
+
+    await ctx.hr.patch(`/bookings/${bookingId}/approve`).expect(200);
+    const clash = await ctx.hr
+      .patch(`/bookings/${second.body.bookingId}/approve`)
+      .expect(400);
+    assert.match(clash.body.error.message, /free on 2026-01-21/);
+
+    await ctx.employee
+      .patch(`/bookings/${second.body.bookingId}/cancel`)
+      .expect(200);
+    await ctx.employee
+      .patch(`/bookings/${second.body.bookingId}/cancel`)
+      .expect(400);
+  });
+
+  it("shows free capacity per day", async () => {
+    const res = await ctx.employee
+      .get(`/assets/${projectorId}/availability`)
+      .query({ from: "2026-01-19", to: "2026-01-23" })
+      .expect(200);
+    assert.deepEqual(
+      res.body.days.map((day) => [day.date, day.free]),
+      [
+        ["2026-01-19", 2],
+        ["2026-01-20", 0],
+        ["2026-01-21", 0],
+        ["2026-01-22", 0],
+        ["2026-01-23", 2],
+      ]
+    );
+  });
+
+  it("keeps booked units away from requests", async () => {
+    const created = await ctx.employee
+      .post("/requests")
+      .send({ items: [{ assetId: projectorId, quantity: 1 }] })
+      .expect(200);
+    assert.equal(created.body.waitlisted, 1);
+
+    const res = await ctx.hr
+      .patch(`/requests/${created.body.requestId}/approve`)
+      .send({})
+      .expect(400);
+    assert.match(res.body.error.message, /not enough Projector/);
+  });
+
+  it("lets only one of two overlapping approvals through", async () => {
+    const camera = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Camera",
+        productType: "Returnable",
+        productQuantity: 1,
+      })
+      .expect(200);
+    cameraId = camera.body.insertedId;
+    const first = await ctx.employee
+      .post("/bookings")
+      .send({
+        assetId: cameraId,
+        startDate: "2026-01-25",
+        endDate: "2026-01-26",
+      })
+      .expect(200);
+    const second = await ctx.employee
+      .post("/bookings")
+      .send({
+        assetId: cameraId,
+        startDate: "2026-01-26",
+        endDate: "2026-01-27",
+      })
+      .expect(200);
+
+    const results = await Promise.all(
+      [first, second].map((booking) =>
+        ctx.hr.patch(`/bookings/${booking.body.bookingId}/approve`)
+      )
+    );
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 400]);
+
+    // the approval lock stays out of the asset itself
+    const asset = await ctx.hr.get(`/assets/${cameraId}`).expect(200);
+    assert.deepEqual(
+      Object.keys(asset.body.asset).filter((key) => /version|lock/i.test(key)),
+      []
+    );
+
+    // the approved booking keeps the camera from being deleted
+    await ctx.hr.delete(`/assets/${cameraId}`).expect(409);
+  });
+
+  it("hands the units over when the booking starts", async () => {
+    ctx.clock.set("2026-01-20T07:00:00Z");
+    const started = await ctx.app.locals.ctx.startDueBookings();
+    assert.equal(started, 1);
+
+    ctx.employee = await ctx.signIn("emp1@test.com");
+    const mine = await ctx.employee.get("/bookings/my").expect(200);
+    const booking = mine.body.bookings.find((b) => b._id === bookingId);
+    assert.equal(booking.status, "active");
+    assert.equal(booking.assignmentIds.length, 2);
+
+    const assignment = await ctx.db
+      .collection("assignedAssets")
+      .findOne({ _id: new ObjectId(booking.assignmentIds[0]) });
+    assert.ok(assignment);
+    assert.equal(assignment.dueDate.toISOString(), "2026-01-22T00:00:00.000Z");
+  });
+
+  it("tells the employee and HR when a booking cannot start", async () => {
+    const units = await ctx.hr.get(`/assets/${cameraId}/units`).expect(200);
+    await ctx.hr
+      .patch(`/assets/${cameraId}/units/${units.body.units[0]._id}`)
+      .send({ status: "lost" })
+      .expect(200);
+
+    ctx.clock.set("2026-01-26T07:00:00Z");
+    const { startDueBookings } = ctx.app.locals.ctx;
+    assert.equal(await startDueBookings(), 0);
+    assert.equal(await startDueBookings(), 0);
+
+    ctx.employee = await ctx.signIn("emp1@test.com");
+    const inbox = await ctx.employee.get("/notifications").expect(200);
+    const types = inbox.body.notifications.map((n) => n.type);
+    assert.equal(types.filter((t) => t === "booking.unfulfilled").length, 1);
+
+    ctx.clock.set("2026-01-28T07:00:00Z");
+    await startDueBookings();
+    ctx.hr = await ctx.signIn("hr@test.com");
+    const hrInbox = await ctx.hr.get("/notifications").expect(200);
+    assert.ok(
+      hrInbox.body.notifications.some((n) => n.type === "booking.expired")
+    );
+    const bookings = await ctx.hr
+      .get("/bookings/hr")
+      .query({ status: "expired" })
+      .expect(200);
+    assert.equal(bookings.body.bookings.length, 1);
+  });
+});
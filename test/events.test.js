@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp } = require("./helpers");
+
+// Read an event stream until `count` events arrived or `waitMs` passed,
+// then disconnect
+async function readEvents(url, { headers = {}, count, waitMs = 5000 }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), waitMs);
+  const res = await fetch(url, { headers, signal: controller.signal });
+  assert.equal(res.status, 200);
+
+  const events = [];
+  let buffer = "";
+  const decoder = new TextDecoder();
+  try {
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = {};
+        for (const line of block.split("\n")) {
+          const [field, ...rest] = line.split(": ");
+          if (field === "id" || field === "event" || field === "data")
+            event[field] = rest.join(": ");
+        }
+        if (event.event) events.push(event);
+      }
+      if (events.length >= count) break;
+    }
+  } catch (err) {
+    if (err.name !== "AbortError") throw err;
+  }
+  clearTimeout(timer);
+  controller.abort();
+  return events;
+}
+
+describe("real-time events", () => {
+  const ctx = useTestApp();
+  let server;
+  let baseUrl;
+
+  before(() => {
+    server = ctx.app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  async function submitRequest(assetName) {
+    const assets = await ctx.hr.get("/assets").expect(200);
+    const asset = assets.body.assets.find((a) => a.productName === assetName);
+    await ctx.employee
+      .post("/requests")
+      .send({ assetId: asset._id })
+      .expect(200);
+  }
+
+  it("pushes new requests to the company's HR", async () => {
+    const reading = readEvents(`${baseUrl}/events?token=${ctx.hr.token}`, {
+      count: 1,
+    });
+    // give the stream a moment to subscribe
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    await submitRequest("Office Chair");
+
+    const [event] = await reading;
+    assert.equal(event.event, "request.created");
+    assert.equal(JSON.parse(event.data).requesterEmail, "emp1@test.com");
+  });
+
+  it("resumes after the last event id", async () => {
+    const [first] = await readEvents(
+      `${baseUrl}/events?token=${ctx.hr.token}`,
+      {
+        headers: { "Last-Event-ID": "000000000000000000000000" },
+        count: 1,
+      }
+    );
+    await submitRequest("Laptop Dell");
+
+    const [missed] = await readEvents(
+      `${baseUrl}/events?token=${ctx.hr.token}`,
+      {
+        headers: { "Last-Event-ID": first.id },
+        count: 1,
+      }
+    );
+    assert.equal(missed.event, "request.created");
+    assert.equal(JSON.parse(missed.data).assetName, "Laptop Dell");
+  });
+
+  it("keeps other users' events from an employee", async () => {
+    await request(ctx.app)
+      .post("/auth/register")
+      .send({
+        name: "Other",
+        email: "other@test.com",
+        password: "secret123",
+        role: "employee",
+      })
+      .expect(200);
+    const otherToken = await ctx.login("other@test.com", "secret123");
+
+    const events = await readEvents(`${baseUrl}/events?token=${otherToken}`, {
+      headers: { "Last-Event-ID": "000000000000000000000000" },
+      count: 1,
+      waitMs: 500,
+    });
+    assert.deepEqual(events, []);
+  });
+
+  it("requires a valid access token", async () => {
+    await request(ctx.app).get("/events").expect(401);
+  });
+});
@@ -0,0 +1,193 @@
+const { before, after } = require("node:test");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const { MongoClient } = require("mongodb");
+const request = require("supertest");
+const { createApp } = require("../app");
+const { prepareDatabase } = require("../database");
+const { createMemoryTransport } = require("../mailer");
+const { createMemoryStorage } = require("../storage");
+
+// Integration tests run the real app against an in-memory replica set
+// (transactions need one), with Stripe, Firebase, the clock, the mailer and
+// file storage replaced by fakes the test can inspect and steer.
+
+// A clock that only moves when the test says so
+function createFixedClock(start = "2026-01-15T09:00:00Z") {
+  let current = new Date(start);
+  return {
+    now: () => new Date(current),
+    set: (date) => {
+      current = new Date(date);
+    },
+    advance: (ms) => {
+      current = new Date(current.getTime() + ms);
+    },
+  };
+}
+
+// Just enough of the Stripe client for the billing flows. Events are not
+// signed: constructEvent accepts the signature "valid" and parses the body.
+// Tests put the subscriptions Stripe should know about in
+// `subscriptions.records`.
+function createFakeStripe() {
+  const records = new Map();
+  const calls = [];
+  return {
+    calls,
+    webhooks: {
+      constructEvent(body, signature) {
+        if (signature !== "valid") throw new Error("Invalid signature");
+        return JSON.parse(body.toString("utf8"));
+      },
+    },
+    subscriptions: {
+      records,
+      retrieve: async (id) => {
+        calls.push(["subscriptions.retrieve", id]);
+        const subscription = records.get(id);
+        if (!subscription) throw new Error(`No such subscription: ${id}`);
+        return subscription;
+      },
+      cancel: async (id) => {
+        calls.push(["subscriptions.cancel", id]);
+        return { id, status: "canceled" };
+      },
+    },
+    refunds: {
+      create: async (params) => {
+        calls.push(["refunds.create", params]);
+        return { id: `re_${calls.length}`, status: "succeeded" };
+      },
+    },
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          calls.push(["checkout.sessions.create", params]);
+          return { id: "cs_test", url: "https://stripe.test/checkout" };
+        },
+      },
+    },
+    billingPortal: {
+      sessions: {
+        create: async (params) => {
+          calls.push(["billingPortal.sessions.create", params]);
+          return { url: "https://stripe.test/portal" };
+        },
+      },
+    },
+  };
+}
+
+// firebase-admin stand-in: ID tokens are looked up in `users`
+function createFakeFirebase() {
+  const users = new Map();
+  return {
+    users,
+    auth: () => ({
+      verifyIdToken: async (idToken) => {
+        const decoded = users.get(idToken);
+        if (!decoded) throw new Error("Invalid ID token");
+        return decoded;
+      },
+    }),
+  };
+}
+
+// Start a fresh database and app. Call `stop` from an `after` hook.
+async function startTestApp() {
+  const replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  const client = new MongoClient(replSet.getUri());
+  await client.connect();
+  const db = client.db("AssetVerseTest");
+  await prepareDatabase(db);
+
+  const clock = createFixedClock();
+  const stripe = createFakeStripe();
+  const firebaseAdmin = createFakeFirebase();
+  const mailer = createMemoryTransport();
+  const storage = createMemoryStorage();
+  const app = createApp({
+    db,
+    stripe,
+    firebaseAdmin,
+    clock,
+    mailer,
+    storage,
+    config: {
+      jwtSecret: "test-secret",
+      stripeWebhookSecret: "whsec_test",
+      adminEmails: ["admin@test.com"],
+    },
+  });
+
+  async function login(email, password = "123456") {
+    const res = await request(app)
+      .post("/auth/login")
+      .send({ email, password })
+      .expect(200);
+    return res.body.token;
+  }
+
+  // Requests signed in with `token`, e.g. ctx.as(token).get("/me")
+  function as(token) {
+    const signed = (method) => (path) =>
+      request(app)[method](path).set("Authorization", `Bearer ${token}`);
+    return {
+      token,
+      get: signed("get"),
+      post: signed("post"),
+      put: signed("put"),
+      patch: signed("patch"),
+      delete: signed("delete"),
+    };
+  }
+
+  async function signIn(email, password) {
+    return as(await login(email, password));
+  }
+
+  async function stop() {
+    await client.close();
+    await replSet.stop();
+  }
+
+  return {
+    app,
+    db,
+    clock,
+    stripe,
+    firebaseAdmin,
+    mailer,
+    storage,
+    login,
+    as,
+    signIn,
+    stop,
+  };
+}
+
+// Start a test app for the enclosing describe block and sign in the seeded
+// HR (`ctx.hr`) and employee (`ctx.employee`). The returned ctx is filled
+// in by the before hook, so only use it inside hooks and tests.
+function useTestApp() {
+  const ctx = {};
+  before(async () => {
+    Object.assign(ctx, await startTestApp());
+    ctx.hr = await ctx.signIn("hr@test.com");
+    ctx.employee = await ctx.signIn("emp1@test.com");
+  });
+  after(async () => {
+    await ctx.stop();
+  });
+  return ctx;
+}
+
+module.exports = {
+  startTestApp,
+  useTestApp,
+  createFixedClock,
+  createFakeStripe,
+  createFakeFirebase,
+};
@@ -0,0 +1,88 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const sharp = require("sharp");
+const { useTestApp } = require("./helpers");
+
+describe("image uploads", () => {
+  const ctx = useTestApp();
+  let png;
+
+  before(async () => {
+    png = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: "#3366ff" },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  async function createAsset(productName) {
+    const res = await ctx.hr
+      .post("/assets")
+      .send({ productName, productType: "Returnable", productQuantity: 1 })
+      .expect(200);
+    return res.body.insertedId;
+  }
+
+  it("stores an asset image with a thumbnail and serves both", async () => {
+    const assetId = await createAsset("Projector");
+    const res = await ctx.hr
+      .post(`/assets/${assetId}/image`)
+      .attach("image", png, { filename: "projector.png" })
+      .expect(200);
+
+    const image = await request(ctx.app).get(res.body.productImage).expect(200);
+    assert.equal(image.headers["content-type"], "image/png");
+
+    const thumb = await request(ctx.app)
+      .get(res.body.productThumbnail)
+      .expect(200);
+    assert.equal(thumb.headers["content-type"], "image/webp");
+    const { width } = await sharp(thumb.body).metadata();
+    assert.equal(width, 256);
+  });
+
+  it("rejects files that are not images", async () => {
+    const assetId = await createAsset("Whiteboard");
+    await ctx.hr
+      .post(`/assets/${assetId}/image`)
+      .attach("image", Buffer.from("not an image"), {
+        filename: "notes.txt",
+        contentType: "text/plain",
+      })
+      .expect(415);
+
+    const res = await ctx.hr
+      .post(`/assets/${assetId}/image`)
+      .attach("image", Buffer.from("not an image"), {
+        filename: "fake.png",
+        contentType: "image/png",
+      })
+      .expect(400);
+    assert.equal(res.body.error.code, "invalid_image");
+  });
+
+  it("removes the stored image when the asset is deleted", async () => {
+    const assetId = await createAsset("Camera");
+    await ctx.hr
+      .post(`/assets/${assetId}/image`)
+      .attach("image", png, { filename: "camera.png" })
+      .expect(200);
+    const stored = ctx.storage.files.size;
+
+    await ctx.hr.delete(`/assets/${assetId}`).expect(200);
+    assert.equal(ctx.storage.files.size, stored - 2);
+  });
+
+  it("updates the company logo", async () => {
+    const res = await ctx.hr
+      .post("/me/company-logo")
+      .attach("logo", png, { filename: "logo.png" })
+      .expect(200);
+
+    const company = await ctx.db
+      .collection("companies")
+      .findOne({ ownerEmail: "hr@test.com" });
+    assert.equal(company.logo, res.body.companyLogo);
+  });
+});
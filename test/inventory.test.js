@@ -0,0 +1,113 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestApp } = require("./helpers");
+
+describe("inventory import and export", () => {
+  const ctx = useTestApp();
+  const importCsv = (csv, query = "") =>
+    ctx.hr.post(`/assets/import${query}`).attach("file", Buffer.from(csv), {
+      filename: "inventory.csv",
+      contentType: "text/csv",
+    });
+
+  it("previews an import without writing anything", async () => {
+    const res = await importCsv(
+      "Product Name,Type,SKU,Qty\n" +
+        "Laptop,returnable,LT-1,3\n" +
+        "Chair,Furniture,,2\n" +
+        "Mouse,Non-returnable,LT-1,1\n"
+    ).expect(200);
+
+    assert.equal(res.body.dryRun, true);
+    assert.deepEqual(res.body.summary, {
+      rows: 3,
+      create: 1,
+      update: 0,
+      unchanged: 0,
+      error: 2,
+    });
+    assert.equal(res.body.rows[0].row, 2);
+    assert.equal(res.body.rows[1].errors[0].field, "productType");
+    assert.equal(res.body.rows[2].errors[0].field, "sku");
+
+    const assets = await ctx.db.collection("assets").countDocuments();
+    assert.equal(assets, 0);
+  });
+
+  it("refuses to commit a file with errors", async () => {
+    const res = await importCsv(
+      "productName,productType,quantity\nDesk,Returnable,lots\n",
+      "?dryRun=false"
+    ).expect(400);
+    assert.equal(res.body.error.code, "import_invalid");
+    assert.equal(res.body.error.details[0].row, 2);
+  });
+
+  it("creates assets, then updates them by SKU or name", async () => {
+    await importCsv(
+      "productName,productType,sku,quantity\n" +
+        "Laptop,Returnable,LT-1,3\n" +
+        "Headset,Non-returnable,,5\n",
+      "?dryRun=false"
+    ).expect(200);
+
+    const res = await importCsv(
+      "productName,productType,sku,quantity\n" +
+        "Laptop Pro,Returnable,LT-1,4\n" +
+        "Headset,Non-returnable,,5\n",
+      "?dryRun=false"
+    ).expect(200);
+    assert.deepEqual(
+      res.body.rows.map((row) => row.action),
+      ["update", "unchanged"]
+    );
+
+    const laptop = await ctx.db.collection("assets").findOne({ sku: "LT-1" });
+    assert.equal(laptop.productName, "Laptop Pro");
+    assert.equal(laptop.productQuantity, 4);
+    const units = await ctx.db
+      .collection("assetUnits")
+      .countDocuments({ assetId: laptop._id });
+    assert.equal(units, 4);
+  });
+
+  it("rejects a quantity below the units on record", async () => {
+    const res = await importCsv(
+      "sku,productName,productType,quantity\nLT-1,Laptop Pro,Returnable,1\n"
+    ).expect(200);
+    assert.equal(res.body.rows[0].action, "error");
+    assert.equal(res.body.rows[0].errors[0].field, "quantity");
+  });
+
+  it("exports the inventory as CSV that imports back unchanged", async () => {
+    const res = await ctx.hr.get("/assets/export").expect(200);
+    assert.match(res.headers["content-type"], /^text\/csv/);
+    assert.match(res.headers["content-disposition"], /inventory-.*\.csv/);
+
+    const lines = res.text.trim().split("\r\n");
+    assert.equal(
+      lines[0],
+      "sku,productName,productType,quantity,available,assigned,dateAdded"
+    );
+    assert.equal(lines.length, 3);
+
+    const again = await importCsv(res.text).expect(200);
+    assert.equal(again.body.summary.unchanged, 2);
+  });
+
+  it("answers a duplicate SKU on edit with a 400", async () => {
+    const create = (productName, sku) =>
+      ctx.hr
+        .post("/assets")
+        .send({ productName, productType: "Returnable", sku })
+        .expect(200);
+    await create("Webcam", "WC-1");
+    const other = await create("Webcam HD", "WC-2");
+
+    const res = await ctx.hr
+      .patch(`/assets/${other.body.insertedId}`)
+      .send({ sku: "WC-1" })
+      .expect(400);
+    assert.match(res.body.error.message, /Duplicate SKU/);
+  });
+});
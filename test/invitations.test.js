@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp } = require("./helpers");
+
+describe("join codes", () => {
+  const ctx = useTestApp();
+
+  async function registerEmployee(email) {
+    const res = await request(ctx.app)
+      .post("/auth/register")
+      .send({ name: email, email, password: "secret123", role: "employee" })
+      .expect(200);
+    return ctx.as(res.body.token);
+  }
+
+  it("lets an employee join once with a code", async () => {
+    const created = await ctx.hr
+      .post("/hr/join-codes")
+      .send({ maxUses: 1 })
+      .expect(200);
+    const { code } = created.body;
+    assert.ok(code);
+
+    const joiner = await registerEmployee("joiner@test.com");
+    const joined = await joiner
+      .post("/join")
+      .send({ code: code.toLowerCase() })
+      .expect(200);
+    assert.equal(joined.body.companyName, "TestCompany");
+
+    const other = await registerEmployee("late@test.com");
+    const res = await other.post("/join").send({ code }).expect(400);
+    assert.equal(res.body.error.message, "Invalid or expired join code");
+
+    const hr = await ctx.db
+      .collection("users")
+      .findOne({ email: "hr@test.com" });
+    assert.equal(hr.currentEmployees, 2);
+  });
+
+  it("refuses codes past their expiry", async () => {
+    const created = await ctx.hr
+      .post("/hr/join-codes")
+      .send({ expiresInDays: 1 })
+      .expect(200);
+
+    ctx.clock.advance(2 * 24 * 60 * 60 * 1000);
+    const late = await registerEmployee("expired@test.com");
+    await late.post("/join").send({ code: created.body.code }).expect(400);
+  });
+});
+
+describe("email invitations", () => {
+  const ctx = useTestApp();
+
+  it("escapes the HR's name and company in the invitation mail", async () => {
+    await ctx.db.collection("users").updateOne(
+      { email: "hr@test.com" },
+      {
+        $set: {
+          name: '<a href="https://evil.test">Boss</a>',
+          companyName: "<img src=x>",
+        },
+      }
+    );
+    await ctx.hr
+      .post("/hr/invitations")
+      .send({ email: "invitee@test.com" })
+      .expect(200);
+
+    const mail = ctx.mailer.sent.find((m) => m.to === "invitee@test.com");
+    assert.ok(mail);
+    assert.ok(!mail.html.includes('<a href="https://evil.test"'));
+    assert.ok(!mail.html.includes("<img"));
+    assert.ok(mail.html.includes("&lt;img src=x&gt;"));
+  });
+});
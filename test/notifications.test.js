@@ -0,0 +1,80 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestApp } = require("./helpers");
+
+describe("notification inbox", () => {
+  const ctx = useTestApp();
+  let chair;
+
+  before(async () => {
+    chair = await ctx.db
+      .collection("assets")
+      .findOne({ productName: "Office Chair" });
+  });
+
+  function submitRequest() {
+    return ctx.employee
+      .post("/requests")
+      .send({ assetId: chair._id.toString() })
+      .expect(200);
+  }
+
+  it("notifies the HR and the requester of a new request", async () => {
+    await submitRequest();
+
+    const inbox = await ctx.hr.get("/notifications").expect(200);
+    assert.equal(inbox.body.unreadCount, 1);
+    assert.equal(inbox.body.notifications[0].type, "request.created");
+    assert.equal(
+      inbox.body.notifications[0].title,
+      "emp1@test.com requested Office Chair"
+    );
+
+    const own = await ctx.employee
+      .get("/notifications")
+      .query({ type: "request.created" })
+      .expect(200);
+    assert.equal(own.body.total, 1);
+  });
+
+  it("marks one or all notifications read", async () => {
+    await submitRequest();
+
+    const inbox = await ctx.hr.get("/notifications").expect(200);
+    const [latest] = inbox.body.notifications;
+    await ctx.hr.patch(`/notifications/${latest._id}/read`).expect(200);
+
+    const unread = await ctx.hr
+      .get("/notifications")
+      .query({ unread: "true" })
+      .expect(200);
+    assert.equal(unread.body.unreadCount, 1);
+    assert.equal(unread.body.notifications.length, 1);
+
+    const all = await ctx.hr.post("/notifications/read-all").expect(200);
+    assert.equal(all.body.marked, 1);
+
+    // someone else's notification is not found
+    await ctx.employee.patch(`/notifications/${latest._id}/read`).expect(404);
+  });
+
+  it("leaves muted event types out of the inbox", async () => {
+    const prefs = await ctx.hr
+      .put("/notifications/preferences")
+      .send({ muted: ["request.created"] })
+      .expect(200);
+    const created = prefs.body.types.find(
+      (pref) => pref.type === "request.created"
+    );
+    assert.equal(created.enabled, false);
+
+    await submitRequest();
+    const inbox = await ctx.hr.get("/notifications").expect(200);
+    assert.equal(inbox.body.unreadCount, 0);
+
+    await ctx.hr
+      .put("/notifications/preferences")
+      .send({ muted: ["no.such.type"] })
+      .expect(400);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestApp } = require("./helpers");
+
+describe("handover receipts and holdings reports", () => {
+  const ctx = useTestApp();
+  let assignmentId;
+
+  before(async () => {
+    const asset = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Camera",
+        productType: "Returnable",
+        productQuantity: 2,
+      })
+      .expect(200);
+    const assetId = asset.body.insertedId;
+
+    for (let i = 0; i < 2; i++)
+      await ctx.employee.post("/requests").send({ assetId }).expect(200);
+    const mine = await ctx.employee.get("/requests/my").expect(200);
+    const approved = await ctx.hr
+      .patch(`/requests/${mine.body.requests[0]._id}/approve`)
+      .send({})
+      .expect(200);
+    assignmentId = approved.body.assignmentId;
+  });
+
+  const binary = (req) =>
+    req.buffer(true).parse((res, done) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => done(null, Buffer.concat(chunks)));
+    });
+
+  it("prints a handover receipt for the employee and HR", async () => {
+    for (const user of [ctx.employee, ctx.hr]) {
+      const res = await binary(
+        user.get(`/assigned/${assignmentId}/receipt`)
+      ).expect(200);
+      assert.equal(res.headers["content-type"], "application/pdf");
+      assert.equal(res.body.subarray(0, 5).toString(), "%PDF-");
+    }
+  });
+
+  it("answers 404 for an unknown assignment", async () => {
+    await ctx.hr.get("/assigned/000000000000000000000000/receipt").expect(404);
+  });
+
+  it("reports an employee's holdings and pending requests as CSV", async () => {
+    const res = await ctx.employee
+      .get("/reports/holdings")
+      .query({ format: "csv" })
+      .expect(200);
+    assert.match(res.headers["content-type"], /^text\/csv/);
+
+    const lines = res.text.trim().split("\r\n");
+    assert.equal(lines.length, 3);
+    assert.match(lines[1], /^.*,emp1@test\.com,Camera,Returnable,.*,assigned,/);
+    assert.match(lines[2], /,pending,/);
+  });
+
+  it("lets HR report on the company as a PDF", async () => {
+    const res = await binary(ctx.hr.get("/reports/holdings")).expect(200);
+    assert.equal(res.headers["content-type"], "application/pdf");
+    assert.match(res.headers["content-disposition"], /holdings-company-/);
+  });
+
+  it("keeps employees to their own report", async () => {
+    await ctx.employee
+      .get("/reports/holdings")
+      .query({ employee: "hr@test.com" })
+      .expect(403);
+  });
+});
@@ -0,0 +1,283 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestApp } = require("./helpers");
+
+describe("assets, requests and returns", () => {
+  const ctx = useTestApp();
+
+  async function findAsset(name) {
+    const res = await ctx.hr.get("/assets").query({ search: name }).expect(200);
+    return res.body.assets.find((asset) => asset.productName === name);
+  }
+
+  it("creates an asset with its units", async () => {
+    await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Monitor",
+        productType: "Returnable",
+        productQuantity: 3,
+      })
+      .expect(200);
+
+    const monitor = await findAsset("Monitor");
+    assert.equal(monitor.productQuantity, 3);
+    assert.equal(monitor.availableQuantity, 3);
+
+    const units = await ctx.hr.get(`/assets/${monitor._id}/units`).expect(200);
+    assert.equal(units.body.units.length, 3);
+  });
+
+  it("keeps employees out of HR routes", async () => {
+    const res = await ctx.employee
+      .post("/assets")
+      .send({ productName: "Desk", productType: "Returnable" })
+      .expect(403);
+    assert.equal(res.body.error.code, "forbidden");
+  });
+
+  it("approves a request, assigns a unit and restocks it once HR confirms the return", async () => {
+    const laptop = await findAsset("Laptop Dell");
+
+    await ctx.employee
+      .post("/requests")
+      .send({ assetId: laptop._id, note: "for onboarding" })
+      .expect(200);
+
+    const mine = await ctx.employee.get("/requests/my").expect(200);
+    const pending = mine.body.requests.find(
+      (req) => req.assetId === laptop._id && req.requestStatus === "pending"
+    );
+    assert.ok(pending);
+
+    const approved = await ctx.hr
+      .patch(`/requests/${pending._id}/approve`)
+      .send({})
+      .expect(200);
+    assert.ok(approved.body.assignmentId);
+
+    await ctx.hr.patch(`/requests/${pending._id}/approve`).send({}).expect(400);
+
+    const afterApproval = await findAsset("Laptop Dell");
+    assert.equal(afterApproval.availableQuantity, laptop.availableQuantity - 1);
+
+    const assignmentId = approved.body.assignmentId;
+    await ctx.employee
+      .post(`/assigned/${assignmentId}/return`)
+      .send({ note: "leaving the team" })
+      .expect(200);
+    await ctx.employee
+      .post(`/assigned/${assignmentId}/return`)
+      .send({})
+      .expect(400);
+
+    // nothing is restocked until HR has the asset back
+    const pendingReturn = await findAsset("Laptop Dell");
+    assert.equal(pendingReturn.availableQuantity, laptop.availableQuantity - 1);
+    const returns = await ctx.hr.get("/hr/returns").expect(200);
+    assert.equal(returns.body.returns.length, 1);
+
+    await ctx.employee
+      .post(`/assigned/${assignmentId}/confirm-return`)
+      .send({ condition: "good" })
+      .expect(403);
+    const confirmed = await ctx.hr
+      .post(`/assigned/${assignmentId}/confirm-return`)
+      .send({ condition: "good" })
+      .expect(200);
+    assert.equal(confirmed.body.incidentId, null);
+
+    const afterReturn = await findAsset("Laptop Dell");
+    assert.equal(afterReturn.availableQuantity, laptop.availableQuantity);
+
+    await ctx.hr
+      .post(`/assigned/${assignmentId}/confirm-return`)
+      .send({ condition: "good" })
+      .expect(400);
+  });
+
+  it("keeps a damaged return out of stock and records an incident", async () => {
+    const laptop = await findAsset("Laptop Dell");
+    await ctx.employee
+      .post("/requests")
+      .send({ assetId: laptop._id })
+      .expect(200);
+    const mine = await ctx.employee.get("/requests/my").expect(200);
+    const pending = mine.body.requests.find(
+      (req) => req.requestStatus === "pending"
+    );
+    const approved = await ctx.hr
+      .patch(`/requests/${pending._id}/approve`)
+      .send({})
+      .expect(200);
+    const { assignmentId } = approved.body;
+
+    await ctx.employee
+      .post(`/assigned/${assignmentId}/return`)
+      .send({})
+      .expect(200);
+    const confirmed = await ctx.hr
+      .post(`/assigned/${assignmentId}/confirm-return`)
+      .send({ condition: "damaged", notes: "cracked screen" })
+      .expect(200);
+    assert.ok(confirmed.body.incidentId);
+
+    const afterReturn = await findAsset("Laptop Dell");
+    assert.equal(afterReturn.productQuantity, laptop.productQuantity);
+    assert.equal(afterReturn.availableQuantity, laptop.availableQuantity - 1);
+
+    const incidents = await ctx.hr.get("/incidents").expect(200);
+    assert.equal(incidents.body.incidents.length, 1);
+    assert.equal(incidents.body.incidents[0].type, "damaged");
+    assert.equal(incidents.body.incidents[0].notes, "cracked screen");
+  });
+
+  it("decides each line of a multi-item request on its own", async () => {
+    const laptop = await findAsset("Laptop Dell");
+    const chair = await findAsset("Office Chair");
+    const created = await ctx.employee
+      .post("/requests")
+      .send({
+        items: [
+          { assetId: laptop._id, quantity: 2 },
+          { assetId: chair._id, quantity: 3 },
+        ],
+        note: "new hire",
+      })
+      .expect(200);
+    const { requestId } = created.body;
+
+    const mine = await ctx.employee.get("/requests/my").expect(200);
+    const pending = mine.body.requests.find((req) => req._id === requestId);
+    const [laptopLine, chairLine] = pending.items;
+    assert.equal(pending.assetName, "Laptop Dell, Office Chair");
+
+    const first = await ctx.hr
+      .patch(`/requests/${requestId}/items/${laptopLine.lineId}`)
+      .send({ decision: "approve" })
+      .expect(200);
+    assert.equal(first.body.requestStatus, "pending");
+    assert.equal(first.body.assignmentIds.length, 2);
+
+    await ctx.hr
+      .patch(`/requests/${requestId}/items/${chairLine.lineId}`)
+      .send({ decision: "approve", quantity: 4 })
+      .expect(400);
+    const reduced = await ctx.hr
+      .patch(`/requests/${requestId}/items/${chairLine.lineId}`)
+      .send({ decision: "approve", quantity: 1 })
+      .expect(200);
+    assert.equal(reduced.body.requestStatus, "partially_approved");
+    assert.equal(reduced.body.items[1].approvedQuantity, 1);
+    // the laptops were reported by the first decision
+    assert.equal(reduced.body.assignmentIds.length, 1);
+
+    const afterApproval = await findAsset("Office Chair");
+    assert.equal(afterApproval.availableQuantity, chair.availableQuantity - 1);
+
+    await ctx.hr
+      .patch(`/requests/${requestId}/items/${chairLine.lineId}`)
+      .send({ decision: "reject" })
+      .expect(400);
+  });
+
+  it("rejects every line of a rejected request", async () => {
+    const chair = await findAsset("Office Chair");
+    const created = await ctx.employee
+      .post("/requests")
+      .send({ items: [{ assetId: chair._id, quantity: 2 }] })
+      .expect(200);
+
+    await ctx.hr.post(`/requests/${created.body.requestId}/reject`).expect(200);
+    const mine = await ctx.employee.get("/requests/my").expect(200);
+    const rejected = mine.body.requests.find(
+      (req) => req._id === created.body.requestId
+    );
+    assert.equal(rejected.requestStatus, "rejected");
+    assert.equal(rejected.items[0].status, "rejected");
+
+    const again = await ctx.hr
+      .patch(`/requests/${created.body.requestId}/reject`)
+      .expect(400);
+    assert.equal(again.body.error.message, "Request not pending");
+    await ctx.hr.patch("/requests/000000000000000000000000/reject").expect(404);
+  });
+
+  it("keeps an asset with open requests from being deleted", async () => {
+    const asset = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Tablet",
+        productType: "Returnable",
+        productQuantity: 1,
+      })
+      .expect(200);
+    const assetId = asset.body.insertedId;
+    const created = await ctx.employee
+      .post("/requests")
+      .send({ items: [{ assetId, quantity: 2 }] })
+      .expect(200);
+    assert.equal(created.body.waitlisted, 1);
+
+    const res = await ctx.hr.delete(`/assets/${assetId}`).expect(409);
+    assert.equal(res.body.error.code, "conflict");
+
+    await ctx.hr
+      .patch(`/requests/${created.body.requestId}/reject`)
+      .send({})
+      .expect(200);
+    await ctx.hr.delete(`/assets/${assetId}`).expect(200);
+  });
+
+  it("lets the requester withdraw only undecided requests", async () => {
+    const asset = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Stapler",
+        productType: "Returnable",
+        productQuantity: 1,
+      })
+      .expect(200);
+    const assetId = asset.body.insertedId;
+    const ask = async (quantity) => {
+      const res = await ctx.employee
+        .post("/requests")
+        .send({ items: [{ assetId, quantity }] })
+        .expect(200);
+      return res.body.requestId;
+    };
+    const held = await ask(1);
+    const waiting = await ask(2);
+    await ctx.hr
+      .post(`/assets/${assetId}/restock`)
+      .send({ quantity: 1 })
+      .expect(200);
+
+    // withdrawing the pending request frees its unit for the waitlist
+    await ctx.employee.delete(`/requests/${held}`).expect(200);
+    const mine = await ctx.employee.get("/requests/my").expect(200);
+    const released = mine.body.requests.find((r) => r._id === waiting);
+    assert.equal(released.requestStatus, "pending");
+
+    await ctx.hr.patch(`/requests/${waiting}/approve`).send({}).expect(200);
+    const res = await ctx.employee.delete(`/requests/${waiting}`).expect(409);
+    assert.equal(res.body.error.code, "conflict");
+    await ctx.employee.delete(`/requests/${held}`).expect(404);
+  });
+
+  it("rejects a malformed id before touching the database", async () => {
+    const res = await ctx.hr
+      .patch("/requests/not-an-id/approve")
+      .send({})
+      .expect(400);
+    assert.equal(res.body.error.code, "validation_failed");
+  });
+
+  it("records the approval in the audit trail", async () => {
+    const res = await ctx.hr
+      .get("/audit")
+      .query({ action: "request.approved" })
+      .expect(200);
+    assert.ok(res.body.entries.length > 0);
+  });
+});
@@ -0,0 +1,220 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestApp } = require("./helpers");
+
+describe("reorder levels, restocks and the waitlist", () => {
+  const ctx = useTestApp();
+  let assetId;
+
+  before(async () => {
+    const asset = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Headset",
+        productType: "Returnable",
+        productQuantity: 3,
+        reorderLevel: 2,
+      })
+      .expect(200);
+    assetId = asset.body.insertedId;
+  });
+
+  async function requestHeadsets(quantity) {
+    const res = await ctx.employee
+      .post("/requests")
+      .send({ items: [{ assetId, quantity }] })
+      .expect(200);
+    return res.body;
+  }
+
+  it("alerts HR when an approval takes stock to the reorder level", async () => {
+    const { requestId } = await requestHeadsets(1);
+    await ctx.hr.patch(`/requests/${requestId}/approve`).send({}).expect(200);
+
+    const inbox = await ctx.hr.get("/notifications").expect(200);
+    const alert = inbox.body.notifications.find(
+      (notification) => notification.type === "stock.low"
+    );
+    assert.ok(alert);
+    assert.equal(alert.data.availableQuantity, 2);
+    assert.equal(alert.data.reorderLevel, 2);
+  });
+
+  it("waitlists a request for more than is in stock", async () => {
+    const created = await requestHeadsets(4);
+    assert.equal(created.waitlisted, 1);
+
+    const waitlist = await ctx.hr.get("/hr/waitlist").expect(200);
+    assert.equal(waitlist.body.waitlist.length, 1);
+    assert.equal(waitlist.body.waitlist[0].quantity, 4);
+  });
+
+  it("lists the asset in the low-stock report", async () => {
+    const res = await ctx.hr.get("/reports/low-stock").expect(200);
+    const headset = res.body.lowStock.find(
+      (row) => row.productName === "Headset"
+    );
+    assert.equal(headset.availableQuantity, 2);
+    assert.equal(headset.waitlisted, 4);
+    assert.equal(headset.lastRestockedAt, null);
+  });
+
+  it("records a restock batch and releases the waitlisted request", async () => {
+    const restocked = await ctx.hr
+      .post(`/assets/${assetId}/restock`)
+      .send({ quantity: 3, unitCost: 19.99, supplier: "Acme" })
+      .expect(200);
+    assert.equal(restocked.body.unitsCreated, 3);
+
+    const batches = await ctx.hr.get(`/assets/${assetId}/restocks`).expect(200);
+    assert.equal(batches.body.restocks.length, 1);
+    assert.equal(batches.body.restocks[0].totalCost, 59.97);
+
+    const units = await ctx.hr.get(`/assets/${assetId}/units`).expect(200);
+    assert.equal(units.body.units.length, 6);
+
+    const mine = await ctx.employee.get("/requests/my").expect(200);
+    const released = mine.body.requests.find(
+      (req) => req.items[0].quantity === 4
+    );
+    assert.equal(released.requestStatus, "pending");
+    assert.equal(released.items[0].status, "pending");
+  });
+
+  describe("partial approval", () => {
+    let dockId;
+    let cableId;
+    let damagedUnitId;
+    let mixedId;
+    let laterId;
+
+    const ask = async (items) => {
+      const res = await ctx.employee
+        .post("/requests")
+        .send({ items })
+        .expect(200);
+      return res.body.requestId;
+    };
+    const requestById = async (id) => {
+      const mine = await ctx.employee.get("/requests/my").expect(200);
+      return mine.body.requests.find((req) => req._id === id);
+    };
+
+    // Two docks, one of them damaged, and plenty of cables
+    before(async () => {
+      const dock = await ctx.hr
+        .post("/assets")
+        .send({
+          productName: "Dock",
+          productType: "Returnable",
+          productQuantity: 2,
+        })
+        .expect(200);
+      dockId = dock.body.insertedId;
+      const cable = await ctx.hr
+        .post("/assets")
+        .send({
+          productName: "Cable",
+          productType: "Returnable",
+          productQuantity: 5,
+        })
+        .expect(200);
+      cableId = cable.body.insertedId;
+
+      const units = await ctx.hr.get(`/assets/${dockId}/units`).expect(200);
+      damagedUnitId = units.body.units[0]._id;
+      await ctx.hr
+        .patch(`/assets/${dockId}/units/${damagedUnitId}`)
+        .send({ status: "damaged" })
+        .expect(200);
+    });
+
+    it("approves what is in stock and waitlists the rest", async () => {
+      const first = await ask([{ assetId: dockId, quantity: 1 }]);
+      mixedId = await ask([
+        { assetId: cableId, quantity: 1 },
+        { assetId: dockId, quantity: 1 },
+      ]);
+      await ctx.hr.patch(`/requests/${first}/approve`).send({}).expect(200);
+
+      const res = await ctx.hr
+        .patch(`/requests/${mixedId}/approve`)
+        .send({})
+        .expect(200);
+      assert.equal(res.body.requestStatus, "waitlisted");
+      assert.equal(res.body.waitlisted, 1);
+      assert.equal(res.body.assignmentIds.length, 1);
+
+      const mixed = await requestById(mixedId);
+      assert.deepEqual(
+        mixed.items.map((line) => [line.assetName, line.status]),
+        [
+          ["Cable", "approved"],
+          ["Dock", "waitlisted"],
+        ]
+      );
+    });
+
+    it("offers a repaired unit to the waitlist", async () => {
+      laterId = await ask([{ assetId: dockId, quantity: 1 }]);
+      await ctx.hr
+        .patch(`/assets/${dockId}/units/${damagedUnitId}`)
+        .send({ status: "available" })
+        .expect(200);
+
+      const mixed = await requestById(mixedId);
+      assert.equal(mixed.items[1].status, "pending");
+      const later = await requestById(laterId);
+      assert.equal(later.items[0].status, "waitlisted");
+    });
+
+    it("offers a rejected line's units to the waitlist", async () => {
+      const mixed = await requestById(mixedId);
+      await ctx.hr
+        .patch(`/requests/${mixedId}/items/${mixed.items[1].lineId}`)
+        .send({ decision: "reject" })
+        .expect(200);
+
+      const later = await requestById(laterId);
+      assert.equal(later.requestStatus, "pending");
+      assert.equal(later.items[0].status, "pending");
+    });
+  });
+
+  it("keeps employees out of restocks and the low-stock report", async () => {
+    await ctx.employee
+      .post(`/assets/${assetId}/restock`)
+      .send({ quantity: 1 })
+      .expect(403);
+    await ctx.employee.get("/reports/low-stock").expect(403);
+  });
+
+  it("numbers the units of concurrent restocks apart", async () => {
+    const cable = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Cable",
+        productType: "Non-returnable",
+        productQuantity: 1,
+      })
+      .expect(200);
+    const cableId = cable.body.insertedId;
+
+    const results = await Promise.all(
+      [2, 2].map((quantity) =>
+        ctx.hr.post(`/assets/${cableId}/restock`).send({ quantity })
+      )
+    );
+    assert.deepEqual(
+      results.map((res) => res.status),
+      [200, 200]
+    );
+
+    const units = await ctx.hr.get(`/assets/${cableId}/units`).expect(200);
+    const prefix = cableId.slice(-6).toUpperCase();
+    assert.deepEqual(
+      units.body.units.map((unit) => unit.assetTag).sort(),
+      [1, 2, 3, 4, 5].map((n) => `${prefix}-00${n}`)
+    );
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp } = require("./helpers");
+
+// A second company's HR must not see or touch anything of the seeded one
+describe("tenant isolation", () => {
+  const ctx = useTestApp();
+  let otherHR;
+  let assetId;
+  let requestId;
+  let assignmentId;
+
+  before(async () => {
+    await request(ctx.app)
+      .post("/auth/register")
+      .send({
+        name: "Other HR",
+        email: "otherhr@test.com",
+        password: "secret123",
+        role: "hr",
+        companyName: "OtherCo",
+      })
+      .expect(200);
+    await ctx.db
+      .collection("users")
+      .updateOne(
+        { email: "otherhr@test.com" },
+        { $set: { emailVerified: true } }
+      );
+    otherHR = await ctx.signIn("otherhr@test.com", "secret123");
+
+    const asset = await ctx.hr
+      .post("/assets")
+      .send({
+        productName: "Monitor",
+        productType: "Returnable",
+        productQuantity: 2,
+      })
+      .expect(200);
+    assetId = asset.body.insertedId;
+
+    const handedOver = await ctx.employee
+      .post("/requests")
+      .send({ items: [{ assetId, quantity: 1 }] })
+      .expect(200);
+    const approved = await ctx.hr
+      .patch(`/requests/${handedOver.body.requestId}/approve`)
+      .send({})
+      .expect(200);
+    assignmentId = approved.body.assignmentIds[0];
+    await ctx.employee.post(`/assigned/${assignmentId}/return`).expect(200);
+
+    const pending = await ctx.employee
+      .post("/requests")
+      .send({ items: [{ assetId, quantity: 1 }] })
+      .expect(200);
+    requestId = pending.body.requestId;
+  });
+
+  it("hides the other company's assets", async () => {
+    await otherHR.get(`/assets/${assetId}`).expect(404);
+    await otherHR
+      .patch(`/assets/${assetId}`)
+      .send({ productName: "Taken" })
+      .expect(404);
+    await otherHR.delete(`/assets/${assetId}`).expect(404);
+
+    const list = await otherHR.get("/assets").expect(200);
+    assert.equal(list.body.assets.length, 0);
+  });
+
+  it("keeps the other company's requests out of reach", async () => {
+    await otherHR.patch(`/requests/${requestId}/reject`).send({}).expect(404);
+    await otherHR.patch(`/requests/${requestId}/approve`).send({}).expect(404);
+  });
+
+  it("lists only the company's own employees", async () => {
+    const res = await otherHR.get("/hr/employees").expect(200);
+    assert.equal(res.body.total, 0);
+    assert.ok(
+      !res.body.employees.some((e) => e.employeeEmail === "emp1@test.com")
+    );
+  });
+
+  it("cannot confirm the other company's returns", async () => {
+    await otherHR
+      .post(`/assigned/${assignmentId}/confirm-return`)
+      .send({ condition: "good" })
+      .expect(404);
+  });
+
+  it("leaves the owning company's data untouched", async () => {
+    const asset = await ctx.hr.get(`/assets/${assetId}`).expect(200);
+    assert.equal(asset.body.asset.productName, "Monitor");
+
+    const requests = await ctx.hr.get("/requests/hr").expect(200);
+    const open = requests.body.requests.find((r) => r._id === requestId);
+    assert.equal(open.requestStatus, "pending");
+
+    const employees = await ctx.hr.get("/hr/employees").expect(200);
+    assert.ok(
+      employees.body.employees.some((e) => e.employeeEmail === "emp1@test.com")
+    );
+
+    await ctx.hr
+      .post(`/assigned/${assignmentId}/confirm-return`)
+      .send({ condition: "good" })
+      .expect(200);
+  });
+});
@@ -0,0 +1,195 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp } = require("./helpers");
+
+describe("stripe webhook", () => {
+  const ctx = useTestApp();
+  let hr;
+  let standard;
+
+  before(async () => {
+    hr = await ctx.db.collection("users").findOne({ email: "hr@test.com" });
+    standard = await ctx.db
+      .collection("packages")
+      .findOne({ name: "Standard" });
+  });
+
+  function deliver(event, signature = "valid") {
+    return request(ctx.app)
+      .post("/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", signature)
+      .send(JSON.stringify(event));
+  }
+
+  it("rejects events with a bad signature", async () => {
+    await deliver({ id: "evt_bad", type: "invoice.paid" }, "forged").expect(
+      400
+    );
+  });
+
+  it("upgrades the package once per paid invoice", async () => {
+    await ctx.hr.get("/analytics/top-requested").expect(403);
+
+    const periodEnd = Math.floor(ctx.clock.now().getTime() / 1000) + 2592000;
+    ctx.stripe.subscriptions.records.set("sub_1", {
+      id: "sub_1",
+      customer: "cus_1",
+      status: "active",
+      current_period_end: periodEnd,
+      metadata: {
+        companyId: hr.companyId.toString(),
+        packageId: standard._id.toString(),
+      },
+    });
+    const event = {
+      id: "evt_paid_1",
+      type: "invoice.paid",
+      data: {
+        object: {
+          id: "in_1",
+          subscription: "sub_1",
+          amount_paid: 800,
+          payment_intent: "pi_1",
+          charge: "ch_1",
+        },
+      },
+    };
+
+    await deliver(event).expect(200);
+    // Stripe retries deliveries; the second one must not pay twice
+    await deliver(event).expect(200);
+
+    const upgraded = await ctx.db.collection("users").findOne({ _id: hr._id });
+    assert.equal(upgraded.subscription, "Standard");
+    assert.equal(upgraded.stripeSubscriptionId, "sub_1");
+
+    const payments = await ctx.db
+      .collection("payments")
+      .find({ hrEmail: "hr@test.com" })
+      .toArray();
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].amount, 8);
+    assert.ok(payments[0].invoiceNumber);
+
+    const stored = await ctx.db
+      .collection("stripeEvents")
+      .findOne({ _id: "evt_paid_1" });
+    assert.equal(stored.status, "processed");
+  });
+
+  it("unlocks the capabilities of the new package", async () => {
+    const res = await ctx.hr.get("/analytics/top-requested").expect(200);
+    assert.ok(Array.isArray(res.body.topRequested));
+  });
+
+  it("takes the seat limit from the new package", async () => {
+    const entitlements = await ctx.hr.get("/me/entitlements").expect(200);
+    assert.equal(entitlements.body.limits.employees, 10);
+
+    const res = await ctx.hr.get("/subscription").expect(200);
+    assert.equal(res.body.subscription, "Standard");
+    assert.equal(res.body.packageLimit, 10);
+    assert.equal(res.body.overLimit, false);
+  });
+
+  it("falls back to Basic on a downgrade below the headcount", async () => {
+    // twelve employees no longer fit the ten seats of Standard
+    await ctx.db
+      .collection("users")
+      .updateOne({ _id: hr._id }, { $set: { currentEmployees: 12 } });
+
+    await deliver({
+      id: "evt_downgrade_1",
+      type: "customer.subscription.updated",
+      data: {
+        object: {
+          id: "sub_1",
+          customer: "cus_1",
+          status: "active",
+          metadata: {
+            companyId: hr.companyId.toString(),
+            packageId: standard._id.toString(),
+          },
+        },
+      },
+    }).expect(200);
+    const current = await ctx.db.collection("users").findOne({ _id: hr._id });
+    assert.equal(current.subscription, "Basic");
+    assert.equal(current.subscriptionStatus, "over_limit");
+
+    const res = await ctx.hr.get("/subscription").expect(200);
+    assert.equal(res.body.packageLimit, 5);
+    assert.equal(res.body.overLimit, true);
+  });
+
+  it("keeps a failed event with its error and replays it", async () => {
+    const premium = await ctx.db
+      .collection("packages")
+      .findOne({ name: "Premium" });
+    const registered = await request(ctx.app)
+      .post("/auth/register")
+      .send({
+        name: "Operator",
+        email: "admin@test.com",
+        password: "secret123",
+        role: "employee",
+      })
+      .expect(200);
+    const admin = ctx.as(registered.body.token);
+
+    // Stripe does not know sub_2 yet, so retrieving it fails
+    await deliver({
+      id: "evt_paid_2",
+      type: "invoice.paid",
+      data: {
+        object: {
+          id: "in_2",
+          subscription: "sub_2",
+          amount_paid: 1500,
+          payment_intent: "pi_2",
+        },
+      },
+    }).expect(500);
+    const stored = await ctx.db
+      .collection("stripeEvents")
+      .findOne({ _id: "evt_paid_2" });
+    assert.equal(stored.status, "failed");
+    assert.equal(stored.error.message, "No such subscription: sub_2");
+
+    await ctx.hr.get("/admin/webhook-events").expect(403);
+    const failed = await admin.get("/admin/webhook-events").expect(200);
+    assert.deepEqual(
+      failed.body.events.map((event) => [event._id, event.error.message]),
+      [["evt_paid_2", "No such subscription: sub_2"]]
+    );
+
+    ctx.stripe.subscriptions.records.set("sub_2", {
+      id: "sub_2",
+      customer: "cus_1",
+      status: "active",
+      current_period_end:
+        Math.floor(ctx.clock.now().getTime() / 1000) + 2592000,
+      metadata: {
+        companyId: hr.companyId.toString(),
+        packageId: premium._id.toString(),
+      },
+    });
+    const replay = await admin
+      .post("/admin/webhook-events/evt_paid_2/replay")
+      .expect(200);
+    assert.deepEqual(replay.body, {
+      success: true,
+      status: "processed",
+      error: null,
+    });
+
+    const upgraded = await ctx.db.collection("users").findOne({ _id: hr._id });
+    assert.equal(upgraded.subscription, "Premium");
+    assert.equal(upgraded.stripeSubscriptionId, "sub_2");
+    const left = await admin.get("/admin/webhook-events").expect(200);
+    assert.equal(left.body.events.length, 0);
+    await admin.post("/admin/webhook-events/evt_paid_2/replay").expect(400);
+  });
+});
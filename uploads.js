@@ -0,0 +1,32 @@
+const multer = require("multer");
+const { HttpError } = require("./errors");
+
+const MB = 1024 * 1024;
+
+// Multipart middleware for a single file in `field`, kept in memory as
+// req.file. `accepts(file)` checks the declared type; anything else is
+// refused with 415 and `typeMessage`.
+function singleFileUpload(field, { maxBytes, accepts, typeMessage }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (accepts(file)) return cb(null, true);
+      cb(new HttpError(415, typeMessage, { code: "unsupported_media_type" }));
+    },
+  }).single(field);
+
+  return (req, res, next) =>
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE")
+          return next(
+            new HttpError(413, `Files must be at most ${maxBytes / MB} MB`)
+          );
+        return next(new HttpError(400, err.message));
+      }
+      next(err);
+    });
+}
+
+module.exports = { MB, singleFileUpload };
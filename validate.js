@@ -0,0 +1,176 @@
+const { ObjectId } = require("mongodb");
+const { ValidationError } = require("./errors");
+
+// Declarative validation of request params, query strings and bodies.
+//
+// A schema maps each field to a rule:
+//   type:      string | email | number | integer | boolean | date |
+//              objectId | array | object
+//   required:  reject the request when the field is missing
+//   default:   used when the field is missing (functions are called)
+//   nullable:  accept an explicit null
+//   min / max: length for strings and arrays, bounds for numbers
+//   enum:      allowed values
+//   trim:      strings are trimmed unless this is false (e.g. passwords)
+//   uppercase: normalise strings
+//   items:     rule for each array element
+//   fields:    schema for a nested object
+//
+// Values are coerced to their type, since params and query strings arrive
+// as text, and fields the schema does not name are dropped. Every problem
+// is collected into a single ValidationError.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TEXT_TYPES = ["string", "email"];
+
+class RuleError extends Error {}
+
+function checkBounds(size, rule, unit) {
+  if (rule.min !== undefined && size < rule.min)
+    throw new RuleError(`must be at least ${rule.min}${unit}`);
+  if (rule.max !== undefined && size > rule.max)
+    throw new RuleError(`must be at most ${rule.max}${unit}`);
+}
+
+function coerce(value, rule, path, problems) {
+  switch (rule.type) {
+    case "string":
+    case "email": {
+      if (typeof value !== "string" && typeof value !== "number")
+        throw new RuleError("must be a string");
+      let text = String(value);
+      if (rule.trim !== false) text = text.trim();
+      if (rule.uppercase) text = text.toUpperCase();
+      if (rule.required && text === "") throw new RuleError("is required");
+      if (rule.type === "email" && !EMAIL.test(text))
+        throw new RuleError("must be a valid email");
+      checkBounds(text.length, rule, " characters");
+      return text;
+    }
+    case "number":
+    case "integer": {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number))
+        throw new RuleError("must be a number");
+      if (rule.type === "integer" && !Number.isInteger(number))
+        throw new RuleError("must be an integer");
+      checkBounds(number, rule, "");
+      return number;
+    }
+    case "boolean":
+      if (value === true || value === "true") return true;
+      if (value === false || value === "false") return false;
+      throw new RuleError("must be true or false");
+    case "date": {
+      const date = new Date(value);
+      if (typeof value === "boolean" || isNaN(date))
+        throw new RuleError("must be a valid date");
+      return date;
+    }
+    case "objectId":
+      if (value instanceof ObjectId) return value;
+      if (typeof value !== "string" || !/^[0-9a-f]{24}$/i.test(value))
+        throw new RuleError("must be a valid id");
+      return new ObjectId(value);
+    case "array": {
+      const list =
+        typeof value === "string" && rule.items ? value.split(",") : value;
+      if (!Array.isArray(list)) throw new RuleError("must be an array");
+      checkBounds(list.length, rule, " items");
+      if (!rule.items) return list;
+      return list.map((item, i) =>
+        checkValue(item, rule.items, `${path}[${i}]`, problems)
+      );
+    }
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value))
+        throw new RuleError("must be an object");
+      return rule.fields
+        ? applySchema(value, rule.fields, path, problems)
+        : value;
+    default:
+      throw new Error(`Unknown schema type ${rule.type} at ${path}`);
+  }
+}
+
+function checkValue(value, rule, path, problems) {
+  try {
+    const result = coerce(value, rule, path, problems);
+    if (rule.enum && !rule.enum.includes(result))
+      throw new RuleError(`must be one of ${rule.enum.join(", ")}`);
+    return result;
+  } catch (err) {
+    if (!(err instanceof RuleError)) throw err;
+    problems.push({ field: path, message: err.message });
+    return undefined;
+  }
+}
+
+function applySchema(input, schema, prefix, problems) {
+  const source = input && typeof input === "object" ? input : {};
+  const output = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const value = source[name];
+
+    if (value === null && rule.nullable) {
+      output[name] = null;
+      continue;
+    }
+    const missing =
+      value === undefined ||
+      value === null ||
+      (value === "" && !TEXT_TYPES.includes(rule.type));
+    if (missing) {
+      if (rule.default !== undefined)
+        output[name] =
+          typeof rule.default === "function" ? rule.default() : rule.default;
+      else if (rule.required)
+        problems.push({ field: path, message: "is required" });
+      continue;
+    }
+
+    const checked = checkValue(value, rule, path, problems);
+    if (checked !== undefined) output[name] = checked;
+  }
+  return output;
+}
+
+// Route middleware: validate({ params, query, body }) replaces each part of
+// the request with its validated copy
+function validate(schemas) {
+  return (req, res, next) => {
+    const problems = [];
+    for (const location of ["params", "query", "body"]) {
+      if (!schemas[location]) continue;
+      const value = applySchema(
+        req[location],
+        schemas[location],
+        location,
+        problems
+      );
+      // req.query is a getter in Express 5, so shadow it on the request
+      Object.defineProperty(req, location, {
+        value,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    if (problems.length > 0) return next(new ValidationError(problems));
+    next();
+  };
+}
+
+// Validate a plain object outside of a request, e.g. one row of an import.
+// Returns the validated copy and the problems instead of throwing.
+function checkSchema(input, schema, prefix = "") {
+  const problems = [];
+  const value = applySchema(input, schema, prefix, problems);
+  return { value, problems };
+}
+
+// Shorthand for the common `/:id` route
+const idParam = { id: { type: "objectId", required: true } };
+
+module.exports = { validate, checkSchema, idParam };